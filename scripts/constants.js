@@ -1,12 +1,26 @@
 const CONSTANTS = {
     MODULE_NAME: "tagger",
     TAGS: "tags",
-    DATA: "data"
+    GM_TAGS: "gmTags",
+    DATA: "data",
+    VALUE_SEPARATOR: ":",
+    SETTINGS: {
+        NUMBERING_SCOPE: "numbering-scope",
+        WARN_NEW_TAGS: "warn-new-tags",
+        TAG_DEFINITIONS: "tag-definitions",
+        HISTORY_SIZE: "history-size",
+        RELAY_ENABLED: "relay-enabled",
+        RELAY_OPERATIONS: "relay-operations",
+        RELAY_TAG_PATTERNS: "relay-tag-patterns",
+        RULE_POLICY: "rule-policy"
+    }
 }
 
 CONSTANTS["BASE_PROPERTY"] = `flags.${CONSTANTS.MODULE_NAME}`;
 CONSTANTS["TAG_PROPERTY"] = `${CONSTANTS.BASE_PROPERTY}.${CONSTANTS.TAGS}`
 CONSTANTS["REMOVE_TAG_PROPERTY"] = `${CONSTANTS.BASE_PROPERTY}.-=${CONSTANTS.TAGS}`
+CONSTANTS["GM_TAG_PROPERTY"] = `${CONSTANTS.BASE_PROPERTY}.${CONSTANTS.GM_TAGS}`
+CONSTANTS["REMOVE_GM_TAG_PROPERTY"] = `${CONSTANTS.BASE_PROPERTY}.-=${CONSTANTS.GM_TAGS}`
 CONSTANTS["DATA_PROPERTY"] = `${CONSTANTS.BASE_PROPERTY}.${CONSTANTS.DATA}`
 
 export default CONSTANTS;
@@ -0,0 +1,72 @@
+/**
+ * Converts rows into CSV text, with a header row of the given columns
+ *
+ * @param inRows
+ * @param inColumns
+ * @returns {String}
+ */
+export function toCsv(inRows, inColumns) {
+	return [inColumns, ...inRows.map(row => inColumns.map(column => row[column]))]
+		.map(values => values.map(escapeValue).join(","))
+		.join("\n");
+}
+
+/**
+ * Parses CSV text into an array of objects keyed by the values in its header row
+ *
+ * @param inText
+ * @param inFunctionName
+ * @returns {Array<Object>}
+ */
+export function parseCsv(inText, inFunctionName) {
+	const [header, ...rows] = parseRows(inText, inFunctionName);
+	if (!header) return [];
+	const columns = header.map(column => column.trim());
+	return rows
+		.filter(values => values.some(value => value.trim()))
+		.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ""])));
+}
+
+function escapeValue(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replaceAll(`"`, `""`)}"` : text;
+}
+
+function parseRows(text, functionName) {
+	const rows = [];
+	let row = [];
+	let value = "";
+	let quoted = false;
+	for (let index = 0; index < text.length; index++) {
+		const char = text[index];
+		if (quoted) {
+			if (char === `"` && text[index + 1] === `"`) {
+				value += `"`;
+				index++;
+			} else if (char === `"`) {
+				quoted = false;
+			} else {
+				value += char;
+			}
+		} else if (char === `"`) {
+			quoted = true;
+		} else if (char === ",") {
+			row.push(value);
+			value = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[index + 1] === "\n") index++;
+			row.push(value);
+			rows.push(row);
+			row = [];
+			value = "";
+		} else {
+			value += char;
+		}
+	}
+	if (quoted) throw new Error(`Tagger | ${functionName} | invalid CSV, a quoted value is never closed`);
+	if (value || row.length) {
+		row.push(value);
+		rows.push(row);
+	}
+	return rows;
+}
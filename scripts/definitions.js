@@ -0,0 +1,147 @@
+import CONSTANTS from "./constants.js";
+import { globToRegex, isGlob } from "./glob.js";
+
+/**
+ * Gets every tag definition, in the order they were defined
+ *
+ * @returns {Array<{pattern: String, color: String, icon: String, description: String}>}
+ */
+export function getTagDefinitions() {
+	return foundry.utils.deepClone(game.settings.get(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.TAG_DEFINITIONS) ?? []);
+}
+
+/**
+ * Gets the definition of a tag. Definitions for the exact tag take precedence over those with glob patterns, which
+ * are tested in the order they were defined.
+ *
+ * @param inTag
+ * @returns {{pattern: String, color: String, icon: String, description: String}|null}
+ */
+export function getTagDefinition(inTag) {
+	const definitions = getTagDefinitions();
+	return definitions.find(definition => definition.pattern === inTag)
+		?? definitions.find(definition => isGlob(definition.pattern) && globToRegex(definition.pattern).test(inTag))
+		?? null;
+}
+
+/**
+ * Gets the text color that is readable on top of a background color
+ *
+ * @param inColor
+ * @returns {String}
+ */
+export function getContrastColor(inColor) {
+	const [r, g, b] = [1, 3, 5].map(index => parseInt(inColor.slice(index, index + 2), 16));
+	return (r * 299 + g * 587 + b * 114) / 1000 > 140 ? "#000000" : "#ffffff";
+}
+
+/**
+ * Styles an element, such as a tag chip, with the color, icon and description of a tag's definition
+ *
+ * @param element
+ * @param inTag
+ * @returns {Object|null}
+ */
+export function applyTagDefinition(element, inTag) {
+	const definition = getTagDefinition(inTag);
+	if (!definition) return null;
+	if (definition.color) {
+		element.style.backgroundColor = definition.color;
+		element.style.color = getContrastColor(definition.color);
+	}
+	if (definition.icon) {
+		const icon = document.createElement("i");
+		icon.setAttribute("class", `${definition.icon} tag-icon`);
+		element.prepend(icon);
+	}
+	if (definition.description) element.setAttribute("data-tooltip", definition.description);
+	return definition;
+}
+
+export class TagDefinitionsConfig extends foundry.applications.api.ApplicationV2 {
+
+	static DEFAULT_OPTIONS = {
+		id: "tagger-definitions",
+		tag: "form",
+		classes: ["tagger-definitions"],
+		window: { title: "Tagger: Tag Definitions", icon: "fas fa-palette", resizable: true },
+		position: { width: 720 },
+		form: { handler: TagDefinitionsConfig._onSubmit, closeOnSubmit: true },
+		actions: {
+			addDefinition: TagDefinitionsConfig._onAddDefinition,
+			removeDefinition: TagDefinitionsConfig._onRemoveDefinition
+		}
+	};
+
+	constructor(options) {
+		super(options);
+		this.definitions = getTagDefinitions();
+	}
+
+	async _renderHTML(context, options) {
+		const escape = foundry.utils.escapeHTML;
+		const rows = this.definitions.map((definition, index) => `
+			<li class="tagger-definition">
+				<input type="text" name="definitions.${index}.pattern" value="${escape(definition.pattern)}" placeholder="trap-*" required>
+				<input type="color" name="definitions.${index}.color" value="${escape(definition.color || "#eeede0")}">
+				<input type="text" name="definitions.${index}.icon" value="${escape(definition.icon ?? "")}" placeholder="fas fa-skull">
+				<input type="text" name="definitions.${index}.description" value="${escape(definition.description ?? "")}" placeholder="Description">
+				<a data-action="removeDefinition" data-index="${index}" data-tooltip="Remove"><i class="fas fa-trash"></i></a>
+			</li>`).join("");
+		return `
+			<p class="hint">Tags that match a definition are shown with its color, icon and description. A pattern can be an exact tag, or use * as a wildcard, such as "trap-*". Exact tags take precedence over patterns, and patterns are tested from top to bottom.</p>
+			<div class="tagger-definition tagger-definition-header">
+				<span>Tag or pattern</span><span>Color</span><span>Icon</span><span>Description</span><span></span>
+			</div>
+			<ol class="tagger-definition-list">${rows}</ol>
+			<footer class="form-footer">
+				<button type="button" data-action="addDefinition"><i class="fas fa-plus"></i> Add Definition</button>
+				<button type="submit"><i class="fas fa-save"></i> Save</button>
+			</footer>`;
+	}
+
+	_replaceHTML(result, content, options) {
+		content.innerHTML = result;
+	}
+
+	/**
+	 * Reads the definitions that are currently in the form, so that adding or removing rows keeps unsaved changes
+	 *
+	 * @returns {Array<Object>}
+	 * @private
+	 */
+	_readDefinitions() {
+		const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+		return Object.values(data.definitions ?? {});
+	}
+
+	static _onAddDefinition() {
+		this.definitions = this._readDefinitions();
+		this.definitions.push({ pattern: "", color: "#eeede0", icon: "", description: "" });
+		this.render();
+	}
+
+	static _onRemoveDefinition(event, target) {
+		this.definitions = this._readDefinitions();
+		this.definitions.splice(Number(target.dataset.index), 1);
+		this.render();
+	}
+
+	static async _onSubmit(event, form, formData) {
+		const definitions = Object.values(foundry.utils.expandObject(formData.object).definitions ?? {})
+			.map(({ pattern, color, icon, description }) => ({
+				pattern: pattern.trim(),
+				color,
+				icon: icon.trim(),
+				description: description.trim()
+			}))
+			.filter(definition => definition.pattern);
+		const invalid = definitions.find(definition => definition.pattern.includes(","));
+		if (invalid) {
+			ui.notifications.error(`Tagger | Tag definitions cannot contain commas: "${invalid.pattern}"`);
+			throw new Error(`Tagger | TagDefinitionsConfig | tag definitions cannot contain commas`);
+		}
+		await game.settings.set(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.TAG_DEFINITIONS, definitions);
+	}
+
+}
@@ -0,0 +1,211 @@
+const SEPARATORS = "./";
+
+/**
+ * Converts a glob pattern into a regular expression that matches whole tags. Tags can form a hierarchy with "." or "/"
+ * between their levels, such as "monster.undead.zombie".
+ * <br>- * matches any characters within one level, so "monster.*" matches "monster.undead" but not "monster.undead.zombie"
+ * <br>- ** matches any characters across levels, and on its own between separators it matches any number of levels,
+ *   so "monster.**" matches "monster", "monster.undead" and "monster.undead.zombie"
+ * <br>- ? matches a single character within one level
+ * <br>- [abc], [a-z] and [!abc] match one character from, or not from, a set
+ * <br>- {a,b} matches any of the comma separated alternatives, which can be globs themselves
+ * <br>- \ matches the next character literally, so "\*" matches "*"
+ * Every *, ** and ? is captured in a group, in the order they appear. Braces without a comma are matched literally, so
+ * tag rules such as "{#}" are not alternations.
+ *
+ * @param inPattern
+ * @returns {RegExp}
+ */
+export function globToRegex(inPattern) {
+	return new RegExp(`^${new GlobParser(inPattern).parse()}$`);
+}
+
+/**
+ * Whether a pattern contains any glob syntax, and can't be looked up as a plain tag
+ *
+ * @param inPattern
+ * @returns {Boolean}
+ */
+export function isGlob(inPattern) {
+	return /[*?[\]{}\\]/.test(inPattern);
+}
+
+/**
+ * Splits a string of tags on commas, except for commas inside the braces of a glob alternation
+ *
+ * @param inText
+ * @returns {Array<String>}
+ */
+export function splitTags(inText) {
+	const tags = [];
+	let depth = 0;
+	let start = 0;
+	for (let index = 0; index < inText.length; index++) {
+		const char = inText[index];
+		if (char === "\\") {
+			index++;
+		} else if (char === "{") {
+			depth++;
+		} else if (char === "}" && depth) {
+			depth--;
+		} else if (char === "," && !depth) {
+			tags.push(inText.slice(start, index));
+			start = index + 1;
+		}
+	}
+	tags.push(inText.slice(start));
+	return tags;
+}
+
+/**
+ * Creates a regular expression that matches the tags a numbering tag rule such as {#} could have made from a tag, where
+ * every part of the tag outside of the rule's token is matched literally, even when it contains names with characters
+ * such as "(" or ".". The number is captured in the "number" group, and every other occurrence of the token has to
+ * have the same number, as they are all replaced with the same one.
+ *
+ * @param inTag
+ * @param inToken       The regular expression that matches the rule's token
+ * @param inPattern     Called with each match of the token, and returns the pattern of the number
+ * @returns {RegExp}
+ */
+export function numberedTagToRegex(inTag, inToken, inPattern) {
+	let source = "";
+	let lastIndex = 0;
+	let hasNumber = false;
+	for (const match of inTag.matchAll(new RegExp(inToken.source, "g"))) {
+		source += escapeRegex(inTag.slice(lastIndex, match.index));
+		source += hasNumber ? "\\k<number>" : `(?<number>${inPattern(match)})`;
+		hasNumber = true;
+		lastIndex = match.index + match[0].length;
+	}
+	return new RegExp(`^${source}${escapeRegex(inTag.slice(lastIndex))}$`);
+}
+
+function escapeRegex(text) {
+	return text.replace(/[.*+?^${}()|[\]\\\/-]/g, "\\$&");
+}
+
+class GlobParser {
+
+	constructor(pattern) {
+		this.pattern = pattern;
+		this.position = 0;
+		this.literalBraces = 0;
+	}
+
+	/**
+	 * Parses the pattern until it ends, or until a comma or closing brace when parsing an alternative
+	 *
+	 * @param inAlternative
+	 * @returns {String}
+	 */
+	parse(inAlternative = false) {
+		const parts = [];
+		while (this.position < this.pattern.length) {
+			const char = this.pattern[this.position];
+			if (char === "}" && this.literalBraces) {
+				this.literalBraces--;
+				parts.push({ source: "\\}" });
+				this.position++;
+				continue;
+			}
+			if (inAlternative && (char === "," || char === "}")) break;
+			if (char === "\\" && this.position + 1 < this.pattern.length) {
+				parts.push({ source: escapeRegex(this.pattern[this.position + 1]) });
+				this.position += 2;
+			} else if (char === "*" && this.pattern[this.position + 1] === "*") {
+				parts.push(this.parseGlobstar(parts, inAlternative));
+			} else if (char === "*") {
+				parts.push({ source: `([^${escapeRegex(SEPARATORS)}]*)` });
+				this.position++;
+			} else if (char === "?") {
+				parts.push({ source: `([^${escapeRegex(SEPARATORS)}])` });
+				this.position++;
+			} else if (char === "[") {
+				parts.push(this.parseClass());
+			} else if (char === "{") {
+				parts.push(this.parseAlternation());
+			} else {
+				parts.push({ source: escapeRegex(char), separator: SEPARATORS.includes(char) });
+				this.position++;
+			}
+		}
+		return parts.map(part => part.source).join("");
+	}
+
+	/**
+	 * Parses a **, which matches any number of whole levels when it is a level of its own, taking the separator before
+	 * or after it along so that it can also match no levels at all
+	 *
+	 * @param parts
+	 * @param inAlternative
+	 * @returns {{source: String}}
+	 */
+	parseGlobstar(parts, inAlternative) {
+		this.position += 2;
+		const previous = parts.at(-1);
+		const next = this.pattern[this.position];
+		const endsLevel = next === undefined || SEPARATORS.includes(next) || (inAlternative && (next === "," || next === "}"));
+		if (!endsLevel) return { source: "(.*)" };
+		if (previous?.separator) {
+			parts.pop();
+			return { source: `(?:${previous.source}(.*))?` };
+		}
+		if (!previous && next !== undefined && SEPARATORS.includes(next)) {
+			this.position++;
+			return { source: `(?:(.*)${escapeRegex(next)})?` };
+		}
+		return { source: "(.*)" };
+	}
+
+	/**
+	 * Parses a character class such as [a-z] or [!abc], or a literal [ when it is never closed
+	 *
+	 * @returns {{source: String}}
+	 */
+	parseClass() {
+		let index = this.position + 1;
+		const negated = this.pattern[index] === "!" || this.pattern[index] === "^";
+		if (negated) index++;
+		const start = index;
+		if (this.pattern[index] === "]") index++;
+		while (index < this.pattern.length && this.pattern[index] !== "]") {
+			if (this.pattern[index] === "\\") index++;
+			index++;
+		}
+		if (index >= this.pattern.length) {
+			this.position++;
+			return { source: "\\[" };
+		}
+		const characters = this.pattern.slice(start, index).replace(/\\?([\s\S])/g, (match, char) => {
+			return char === "-" && match === "-" ? "-" : escapeRegex(char);
+		});
+		this.position = index + 1;
+		return { source: `[${negated ? "^" : ""}${characters}]` };
+	}
+
+	/**
+	 * Parses an alternation such as {a,b}, or a literal { when it has no comma or is never closed. The } that closes a
+	 * literal { without a comma is literal as well, so that it can't close an alternation around it.
+	 *
+	 * @returns {{source: String}}
+	 */
+	parseAlternation() {
+		const start = this.position;
+		const literalBraces = this.literalBraces;
+		this.position++;
+		const alternatives = [this.parse(true)];
+		while (this.pattern[this.position] === ",") {
+			this.position++;
+			alternatives.push(this.parse(true));
+		}
+		if (this.pattern[this.position] !== "}" || alternatives.length < 2) {
+			this.literalBraces = literalBraces + (this.pattern[this.position] === "}" ? 1 : 0);
+			this.position = start + 1;
+			return { source: "\\{" };
+		}
+		this.position++;
+		return { source: `(?:${alternatives.join("|")})` };
+	}
+
+}
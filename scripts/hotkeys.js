@@ -1,4 +1,5 @@
 import CONSTANTS from "./constants.js";
+import Tagger from "./module.js";
 
 export const hotkeyState = {
     dropNoRules: false,
@@ -14,8 +15,9 @@ export function registerHotkeysPre() {
 
         game.keybindings.register(CONSTANTS.MODULE_NAME, "do-not-apply-tag-rules", {
             name: "Don't apply tag rules on drop",
+            hint: "While held, new objects don't have tag rules applied to them, regardless of the tag rule policy.",
             editable: [
-                { key: "ControlLeft" },
+                { key: "KeyR", modifiers: ["Alt"] },
             ],
             onDown: () => {
                 hotkeyState.dropNoRules = true;
@@ -26,27 +28,40 @@ export function registerHotkeysPre() {
             precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY
         });
 
-    }
-
-}
-
-export function registerHotkeysPost() {
+        game.keybindings.register(CONSTANTS.MODULE_NAME, "tag-quick-search", {
+            name: "Select or target objects by tag",
+            editable: [],
+            onDown: () => {
+                Tagger.openQuickSearch();
+                return true;
+            }
+        });
 
-    if (!isVersion9()) {
+        game.keybindings.register(CONSTANTS.MODULE_NAME, "undo-tags", {
+            name: "Undo the last change to tags",
+            editable: [],
+            onDown: () => {
+                Tagger.undo();
+                return true;
+            }
+        });
 
-        window.addEventListener("keydown", (event) => {
-            switch(event.code){
-                case "ControlLeft":
-                    hotkeyState.dropNoRules = true;
-                    break;
+        game.keybindings.register(CONSTANTS.MODULE_NAME, "redo-tags", {
+            name: "Redo the last undone change to tags",
+            editable: [],
+            onDown: () => {
+                Tagger.redo();
+                return true;
             }
         });
 
-        window.addEventListener("keyup", (event) => {
-            switch(event.code){
-                case "ControlLeft":
-                    hotkeyState.dropNoRules = false;
-                    break;
+        game.keybindings.register(CONSTANTS.MODULE_NAME, "toggle-tag-overlay", {
+            name: "Toggle the tag overlay",
+            editable: [],
+            restricted: true,
+            onDown: () => {
+                Tagger.toggleOverlay();
+                return true;
             }
         });
 
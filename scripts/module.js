@@ -1,12 +1,21 @@
-import { hotkeyState, registerHotkeysPost, registerHotkeysPre } from "./hotkeys.js";
+import { hotkeyState, registerHotkeysPre } from "./hotkeys.js";
+import { registerSettings } from "./settings.js";
 import CONSTANTS from "./constants.js";
+import { isTagQuery, parseTagQuery } from "./query.js";
+import { filterSpatially, getObjectPosition, hasSpatialFilter } from "./spatial.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { applyTagDefinition, getContrastColor, getTagDefinition, getTagDefinitions } from "./definitions.js";
+import { getRulePolicy } from "./policy.js";
+import { globToRegex, isGlob, numberedTagToRegex, splitTags } from "./glob.js";
+import { registerRegionBehavior } from "./region.js";
 
 export default class Tagger {
 
 	/**
 	 * Gets PlaceableObjects with matching tags provided to the method
 	 *
-	 * @param    {String/RegExp/Array<String/RegExp>}     inTags      An array of tags or a string of tags (separated by commas) that will be searched for
+	 * @param    {String/RegExp/Array<String/RegExp>/Object}     inTags      An array of tags, a string of tags (separated by commas), or a query
+	 *                                                                      expression (see Tag Queries) that will be searched for
 	 * @param    {Object}           inOptions   An optional object that can contain any of the following:
 	 *                                              <br>- matchAny {Boolean}        - whether the PlaceableObjects can contain any of the provided tags
 	 *                                              <br>- matchExactly {Boolean}    - whether the tags on the PlaceableObjects must contain ONLY the tags provided
@@ -16,6 +25,25 @@ export default class Tagger {
 	 *                                              <br>- objects {Array}           - an array of PlaceableObjects to test
 	 *                                              <br>- ignore {Array}            - an array of PlaceableObjects to ignore
 	 *                                              <br>- sceneId {String}          - a string ID for the scene to search in
+	 *                                              <br>- documentTypes {Array}     - an array of document types to search, such as "Token" or "Actor" - world level
+	 *                                                                            documents (Actors, Items, Journals, etc) are only searched when listed here
+	 *                                              <br>- collections {Array}       - an array of collections (such as game.actors) or Documents to test
+	 *                                              <br>- region {RegionDocument}   - only include objects positioned inside this region
+	 *                                              <br>- shape {Object}            - only include objects positioned inside this shape, such as a PIXI.Polygon
+	 *                                              <br>- rectangle {Object}        - only include objects positioned inside this {x, y, width, height} rectangle
+	 *                                              <br>- origin {Object}           - a point or PlaceableObject used by distance, lineOfSight and sortByDistance
+	 *                                              <br>- distance {Number}         - only include objects within this distance from the origin, in grid units
+	 *                                              <br>- lineOfSight {Boolean}     - only include objects with no sight-blocking walls between them and the origin
+	 *                                              <br>- sortByDistance {Boolean}  - whether to sort the objects by their distance from the origin, nearest first
+	 *                                              <br>- returnObjects {Boolean}   - whether to return the PlaceableObjects on the canvas instead of their Documents,
+	 *                                                                            for documents that have one
+	 *                                              <br>- includeHidden {Boolean}   - whether GM-only tags are matched as well, only works for GMs
+	 *                                              <br>- returnMatches {Boolean}   - whether to return an object for each match instead, with the document, its
+	 *                                                                            PlaceableObject, its scene ID and the tags that matched each term (matches)
+	 *                                              <br>- sortBy {String}           - sort the objects by "name", "type", or the first "number" captured by a
+	 *                                                                            wildcard or regular expression group
+	 *                                              <br>- limit {Number}            - only return this many objects, after sorting, across all scenes when
+	 *                                                                            searching all scenes
 	 *
 	 * @returns  {Array}                        Returns an array of filtered Documents based on the tags
 	 */
@@ -23,15 +51,36 @@ export default class Tagger {
 		return Tagger._getObjectsByTags(inTags, inOptions, "getByTag");
 	}
 
+	/**
+	 * Watches for objects that start or stop matching the given tags. The callback is called whenever objects are
+	 * created, updated or deleted in a way that changes which objects match, with every change made at the same time
+	 * grouped into a single call.
+	 *
+	 * @param    {String/Array/Object}  inTags      An array of tags, a string of tags (separated by commas), or a query expression (see Tag Queries)
+	 *                                              that will be watched for
+	 * @param    {Function}             inCallback  The function to call with an object with the added and removed documents, and the
+	 *                                              documents that match now (results), and the watcher
+	 * @param    {Object}               inOptions   An optional object that can contain the matchAny, matchExactly, caseInsensitive, allScenes,
+	 *                                              sceneId, documentTypes and includeHidden options of getByTag
+	 *
+	 * @returns  {TagWatcher}                       A watcher with the documents that currently match (results), which stops watching when stop is called
+	 */
+	static watch(inTags, inCallback, inOptions = {}) {
+		if (typeof inCallback !== "function") throw new Error(`Tagger | watch | inCallback must be of type function`);
+		return new TagWatcher(inTags, inCallback, inOptions);
+	}
+
 	/**
 	 * Verifies whether a given PlaceableObject or Document has the tags given
 	 *
 	 * @param    {PlaceableObject}    inObjects   A PlaceableObject, or an array of PlaceableObjects to check for tags on
-	 * @param    {String/Array}       inTags      An array of tags or a string of tags (separated by commas) that will be searched for
+	 * @param    {String/Array/Object}  inTags    An array of tags, a string of tags (separated by commas), or a query expression (see Tag Queries)
+	 *                                            that will be searched for
 	 * @param    {Object}             inOptions   An optional object that can contain any of the following:
 	 *                                              <br>- matchAny {Boolean}        - whether the PlaceableObjects can contain any of the provided tags
 	 *                                              <br>- matchExactly {Boolean}    - whether the tags on the PlaceableObjects must contain ONLY the tags provided
 	 *                                              <br>- caseInsensitive {Boolean} - whether the search is case insensitive (capitals vs lowercase is not considered)
+	 *                                              <br>- includeHidden {Boolean}   - whether GM-only tags are matched as well, only works for GMs
 	 *
 	 * @returns  {Boolean}                        Returns a boolean whether the object has the given tags
 	 */
@@ -44,27 +93,133 @@ export default class Tagger {
 	 * Gets all tags from a given PlaceableObject or Document
 	 *
 	 * @param    {PlaceableObject}  inObject    The PlaceableObject or Document get tags from
+	 * @param    {Object}           inOptions   An optional object that can contain any of the following:
+	 *                                              <br>- hidden {Boolean}          - get the GM-only tags instead of the public tags, only works for GMs
 	 *
 	 * @returns  {Array}                        An array of tags from the Document
 	 */
-	static getTags(inObject) {
+	static getTags(inObject, inOptions = {}) {
+		const hidden = inOptions.hidden ?? false;
+		this._validateHiddenOption(hidden, "hidden", "getTags");
 		const relevantDocument = inObject?.document ?? inObject;
-		const tags = relevantDocument?.getFlag(CONSTANTS.MODULE_NAME, CONSTANTS.TAGS) ?? [];
+		const tags = hidden
+			? GMTagStore.getTags(relevantDocument)
+			: relevantDocument?.getFlag(CONSTANTS.MODULE_NAME, CONSTANTS.TAGS) ?? [];
 		return this._validateTags(tags, "getTags");
 	}
 
+	/**
+	 * Gets the value of a key/value tag (such as "faction:goblin") from a given PlaceableObject or Document
+	 *
+	 * @param    {PlaceableObject}  inObject    The PlaceableObject or Document get the value from
+	 * @param    {String}           inKey       The key of the tag, such as "faction"
+	 *
+	 * @returns  {String|undefined}             The value of the first tag with the given key, or undefined if there is none
+	 */
+	static getTagValue(inObject, inKey) {
+		if (typeof inKey !== "string" || !inKey.trim()) throw new Error(`Tagger | getTagValue | inKey must be of type string`);
+		const key = inKey.trim();
+		return this.getTags(inObject)
+			.map(tag => this._parseTagValue(tag))
+			.find(keyValue => keyValue?.key === key)?.value;
+	}
+
+	/**
+	 * Gets the hierarchy of the tags in a scene, where "." or "/" separate the levels of a tag, such as "monster.undead.zombie"
+	 *
+	 * @param    {Object}           inOptions   An optional object that can contain any of the following:
+	 *                                              <br>- sceneId {String}          - the scene to get the tags of, defaults to the current scene
+	 *                                              <br>- allScenes {Boolean}       - whether to get the tags of every scene and world level document instead
+	 *
+	 * @returns  {Array<Object>}                The top level nodes, sorted by name, each with its name, its tag, the number of documents with
+	 *                                          exactly that tag (count), the number of documents with that tag or any tag below it (total),
+	 *                                          and its children
+	 */
+	static getTagTree(inOptions = {}) {
+		const options = foundry.utils.mergeObject({
+			sceneId: game.canvas.id,
+			allScenes: false
+		}, inOptions);
+		if (typeof options.allScenes !== "boolean") throw new Error(`Tagger | getTagTree | options.allScenes must be of type boolean`);
+		if (!options.allScenes) {
+			if (typeof options.sceneId !== "string") throw new Error(`Tagger | getTagTree | options.sceneId must be of type string`);
+			if (!game.scenes.get(options.sceneId)) throw new Error(`Tagger | getTagTree | could not find scene with id ${options.sceneId}`);
+		}
+		return this._buildTagTree(TagIndex.getTagUsage(options.allScenes ? null : [options.sceneId]));
+	}
+
+	/**
+	 * Builds the nodes of a tag tree from the documents that carry each tag
+	 *
+	 * @param inUsage
+	 * @returns {Array<Object>}
+	 * @private
+	 */
+	static _buildTagTree(inUsage) {
+		const root = { children: new Map() };
+		for (const [tag, documents] of inUsage) {
+			let node = root;
+			let end = 0;
+			for (const name of tag.split(/[./]/)) {
+				end += name.length;
+				if (!node.children.has(name)) {
+					node.children.set(name, { name, tag: tag.slice(0, end), documents: new Set(), allDocuments: new Set(), children: new Map() });
+				}
+				node = node.children.get(name);
+				documents.forEach(document => node.allDocuments.add(document));
+				end++;
+			}
+			documents.forEach(document => node.documents.add(document));
+		}
+		const toNodes = (children) => Array.from(children.values())
+			.sort((a, b) => a.name.localeCompare(b.name))
+			.map(node => ({
+				name: node.name,
+				tag: node.tag,
+				count: node.documents.size,
+				total: node.allDocuments.size,
+				children: toNodes(node.children)
+			}));
+		return toNodes(root.children);
+	}
+
+	/**
+	 * Sets the value of a key/value tag on PlaceableObjects or Documents, replacing any existing tags with the same key
+	 * without touching other tags
+	 *
+	 * @param    {PlaceableObject/Array}    inObjects   A PlaceableObject, or an array of PlaceableObjects to set the value on
+	 * @param    {String}                   inKey       The key of the tag, such as "faction"
+	 * @param    {String/Number/Boolean}    inValue     The value of the tag, such as "goblin" - if null, the key is removed instead
+	 *
+	 * @returns  {Promise<Array>}                       A promise that will resolve to the Documents whose tags were changed
+	 */
+	static async setTagValue(inObjects, inKey, inValue) {
+		const relevantObjects = this._validateObjects(inObjects, "setTagValue");
+		if (typeof inKey !== "string" || !inKey.trim()) throw new Error(`Tagger | setTagValue | inKey must be of type string`);
+		if (/[,:]/.test(inKey)) throw new Error(`Tagger | setTagValue | inKey cannot contain commas or "${CONSTANTS.VALUE_SEPARATOR}"`);
+		if (!(inValue === null || inValue === undefined || ["string", "number", "boolean"].includes(typeof inValue))) {
+			throw new Error(`Tagger | setTagValue | inValue must be of type string, number or boolean`);
+		}
+		const value = inValue === null || inValue === undefined ? "" : String(inValue).trim();
+		if (value.includes(",")) throw new Error(`Tagger | setTagValue | inValue cannot contain commas`);
+		return this._updateTags(relevantObjects, { inTags: [], keyValue: { key: inKey.trim(), value }, operation: "value" });
+	}
+
 	/**
 	 * Set the tags on an PlaceableObject or Document, completely overwriting existing tags on the object
 	 *
 	 * @param    {PlaceableObject/Array}    inObjects   A PlaceableObject, or an array of PlaceableObjects to set tags on
 	 * @param    {String/Array}             inTags      An array of tags or a string of tags (separated by commas) that will override all tags on the PlaceableObjects
+	 * @param    {Object}                   inOptions   An optional object that can contain any of the following:
+	 *                                                      <br>- hidden {Boolean}      - change the GM-only tags instead of the public tags, only works for GMs
 	 *
-	 * @returns  {Promise}                              A promise that will resolve when the PlaceableObjects' tags have been updated
+	 * @returns  {Promise<Array>}                       A promise that will resolve to the Documents whose tags were changed
 	 */
-	static async setTags(inObjects, inTags = []) {
+	static async setTags(inObjects, inTags = [], inOptions = {}) {
 		const relevantObjects = this._validateObjects(inObjects, "setTags");
 		const providedTags = this._validateTags(inTags, "setTags");
-		return this._updateTags(relevantObjects, { inTags: providedTags, isSetting: true });
+		const options = this._validateWriteOptions(inOptions, "setTags");
+		return this._updateTags(relevantObjects, { inTags: providedTags, isSetting: true, hidden: options.hidden, operation: "set" });
 	}
 
 	/**
@@ -72,13 +227,16 @@ export default class Tagger {
 	 *
 	 * @param    {PlaceableObject/Array}    inObjects   A PlaceableObject, or an array of PlaceableObjects to set tags on
 	 * @param    {String/Array}             inTags      An array of tags or a string of tags (separated by commas) that will override all tags on the PlaceableObjects
+	 * @param    {Object}                   inOptions   An optional object that can contain any of the following:
+	 *                                                      <br>- hidden {Boolean}      - change the GM-only tags instead of the public tags, only works for GMs
 	 *
-	 * @returns  {Promise}                              A promise that will resolve when the PlaceableObjects' tags have been updated
+	 * @returns  {Promise<Array>}                       A promise that will resolve to the Documents whose tags were changed
 	 */
-	static async toggleTags(inObjects, inTags = []) {
+	static async toggleTags(inObjects, inTags = [], inOptions = {}) {
 		const relevantObjects = this._validateObjects(inObjects, "toggleTags");
 		const providedTags = this._validateTags(inTags, "toggleTags");
-		return this._updateTags(relevantObjects, { inTags: providedTags, isToggling: true });
+		const options = this._validateWriteOptions(inOptions, "toggleTags");
+		return this._updateTags(relevantObjects, { inTags: providedTags, isToggling: true, hidden: options.hidden, operation: "toggle" });
 	}
 
 	/**
@@ -86,13 +244,16 @@ export default class Tagger {
 	 *
 	 * @param    {PlaceableObject/Array}    inObjects   A PlaceableObject, or an array of PlaceableObjects to add tags to
 	 * @param    {String/Array}             inTags      An array of tags or a string of tags (separated by commas) that will be added to the PlaceableObjects
+	 * @param    {Object}                   inOptions   An optional object that can contain any of the following:
+	 *                                                      <br>- hidden {Boolean}      - change the GM-only tags instead of the public tags, only works for GMs
 	 *
-	 * @returns  {Promise}                              A promise that will resolve when the PlaceableObjects' tags have been updated
+	 * @returns  {Promise<Array>}                       A promise that will resolve to the Documents whose tags were changed
 	 */
-	static async addTags(inObjects, inTags) {
+	static async addTags(inObjects, inTags, inOptions = {}) {
 		const relevantObjects = this._validateObjects(inObjects, "addTags");
 		const providedTags = this._validateTags(inTags, "addTags");
-		return this._updateTags(relevantObjects, { inTags: providedTags });
+		const options = this._validateWriteOptions(inOptions, "addTags");
+		return this._updateTags(relevantObjects, { inTags: providedTags, hidden: options.hidden, operation: "add" });
 	}
 
 	/**
@@ -100,25 +261,31 @@ export default class Tagger {
 	 *
 	 * @param    {PlaceableObject/Array}    inObjects   A PlaceableObject, or an array of PlaceableObjects to remove tags from
 	 * @param    {String/Array}             inTags      An array of tags or a string of tags (separated by commas) that will be removed from the PlaceableObjects
+	 * @param    {Object}                   inOptions   An optional object that can contain any of the following:
+	 *                                                      <br>- hidden {Boolean}      - change the GM-only tags instead of the public tags, only works for GMs
 	 *
-	 * @returns  {Promise}                              A promise that will resolve when the PlaceableObjects' tags have been updated
+	 * @returns  {Promise<Array>}                       A promise that will resolve to the Documents whose tags were changed
 	 */
-	static async removeTags(inObjects, inTags) {
+	static async removeTags(inObjects, inTags, inOptions = {}) {
 		const relevantObjects = this._validateObjects(inObjects, "removeTags");
 		const providedTags = this._validateTags(inTags, "removeTags");
-		return this._updateTags(relevantObjects, { inTags: providedTags, isAdding: false });
+		const options = this._validateWriteOptions(inOptions, "removeTags");
+		return this._updateTags(relevantObjects, { inTags: providedTags, isAdding: false, hidden: options.hidden, operation: "remove" });
 	}
 
 	/**
 	 * Removes all tags from PlaceableObjects
 	 *
 	 * @param    {PlaceableObject/Array}    inObjects   The PlaceableObjects to remove all tags from
+	 * @param    {Object}                   inOptions   An optional object that can contain any of the following:
+	 *                                                      <br>- hidden {Boolean}      - change the GM-only tags instead of the public tags, only works for GMs
 	 *
-	 * @returns  {Promise}                              A promise that will resolve when the PlaceableObjects' tags have been updated
+	 * @returns  {Promise<Array>}                       A promise that will resolve to the Documents whose tags were changed
 	 */
-	static async clearAllTags(inObjects) {
+	static async clearAllTags(inObjects, inOptions = {}) {
 		const relevantObjects = this._validateObjects(inObjects, "clearAllTags");
-		return this._updateTags(relevantObjects);
+		const options = this._validateWriteOptions(inOptions, "clearAllTags");
+		return this._updateTags(relevantObjects, { hidden: options.hidden, operation: "clear" });
 	}
 
 	/**
@@ -126,543 +293,3432 @@ export default class Tagger {
 	 *
 	 * @param    {PlaceableObject/Array}    inObjects   The PlaceableObjects to apply tag rules to
 	 *
-	 * @returns  {Promise}                              A promise that will resolve when the PlaceableObjects' tags have been updated
+	 * @returns  {Promise<Array>}                       A promise that will resolve to the Documents whose tags were changed
 	 */
 	static async applyTagRules(inObjects) {
 		const relevantObjects = this._validateObjects(inObjects, "applyTagRules");
-		return this._updateTags(relevantObjects, { applyRules: true });
+		return this._updateTags(relevantObjects, { applyRules: true, operation: "rule" });
 	}
 
 	/**
-	 * Updates the tags on a given set of objects
+	 * Renames a tag on every matching document in one or more scenes, or in the whole world. Documents that already have
+	 * a tag with the new name end up with only one copy of it.
 	 *
-	 * @param inObjects
-	 * @param inTags
-	 * @param isSetting
-	 * @param isAdding
-	 * @param isToggling
-	 * @param applyRules
-	 * @returns {Promise<void>}
-	 * @private
+	 * @param    {String}           inFrom      The tag to rename
+	 * @param    {String}           inTo        The new name of the tag
+	 * @param    {Object}           inOptions   An optional object that can contain any of the following:
+	 *                                              <br>- sceneId {String}          - the scene to rename the tag in, defaults to the current scene
+	 *                                              <br>- sceneIds {Array<String>}  - a list of scenes to rename the tag in, instead of sceneId
+	 *                                              <br>- allScenes {Boolean}       - rename the tag in every scene and on every world level document
+	 *                                              <br>- documentTypes {Array<String>} - only rename the tag on these document types, such as ["Wall", "Actor"]
+	 *                                              <br>- dryRun {Boolean}          - report what would change without updating any documents
+	 *
+	 * @returns  {Promise<Array<Object>>}       An array of objects with the document, its previousTags and its new tags for each document that was (or would be) changed
 	 */
-	static async _updateTags(inObjects, {
-		inTags = false,
-		isSetting = false,
-		isAdding = true,
-		isToggling = false,
-		applyRules = false
-	} = {}) {
+	static async renameTag(inFrom, inTo, inOptions = {}) {
+		const [from, ...otherFrom] = this._validateTags(inFrom, "renameTag");
+		const [to, ...otherTo] = this._validateTags(inTo, "renameTag");
+		if (typeof from !== "string" || otherFrom.length) throw new Error(`Tagger | renameTag | inFrom must be a single tag`);
+		if (typeof to !== "string" || otherTo.length) throw new Error(`Tagger | renameTag | inTo must be a single tag`);
+		return this._replaceTags(tag => tag === from ? to : tag, inOptions, "renameTag", "rename");
+	}
 
-		if (!inTags && !applyRules) {
-			for (let obj of inObjects) {
-				await obj.unsetFlag(CONSTANTS.MODULE_NAME, CONSTANTS.TAGS);
-			}
-			return;
-		}
-		inTags = inTags || [];
-		for (let obj of inObjects) {
-			let tags = new Set(this.getTags(obj));
-			if (isToggling) {
-				const incomingTags = new Set(inTags);
-				tags = Array.from(tags).filter(tag => {
-					const hasTag = incomingTags.has(tag);
-					if (hasTag) incomingTags.delete(tag);
-					return !hasTag;
-				});
-				tags = new Set([...tags, ...incomingTags]);
-			} else if (isSetting) {
-				tags = new Set([...inTags]);
-			} else if (isAdding) {
-				tags = new Set([...tags, ...inTags]);
-			} else {
-				inTags.forEach(t => tags.delete(t));
-			}
-			if (tags.size === 0 && !applyRules) {
-				await obj.unsetFlag(CONSTANTS.MODULE_NAME, CONSTANTS.TAGS);
-			} else {
-				tags = Array.from(tags);
-				if (applyRules) {
-					tags = TaggerHandler.applyRules(tags)
-				}
-				await obj.setFlag(CONSTANTS.MODULE_NAME, CONSTANTS.TAGS, tags);
-			}
+	/**
+	 * Replaces the parts of tags that match a pattern on every matching document in one or more scenes, or in the whole
+	 * world. Tags are replaced with String.replace, so the replacement can refer to capture groups, such as $1.
+	 *
+	 * @param    {String/RegExp}    inPattern       A tag that can contain wildcards, which are captured as groups, or a regular expression
+	 * @param    {String/Function}  inReplacement   The replacement, which can refer to capture groups, or a function that is passed to String.replace
+	 * @param    {Object}           inOptions       An optional object that can contain any of the following:
+	 *                                                  <br>- sceneId {String}          - the scene to replace tags in, defaults to the current scene
+	 *                                                  <br>- sceneIds {Array<String>}  - a list of scenes to replace tags in, instead of sceneId
+	 *                                                  <br>- allScenes {Boolean}       - replace tags in every scene and on every world level document
+	 *                                                  <br>- documentTypes {Array<String>} - only replace tags on these document types, such as ["Wall", "Actor"]
+	 *                                                  <br>- caseInsensitive {Boolean} - match the pattern regardless of case
+	 *                                                  <br>- dryRun {Boolean}          - report what would change without updating any documents
+	 *
+	 * @returns  {Promise<Array<Object>>}           An array of objects with the document, its previousTags and its new tags for each document that was (or would be) changed
+	 */
+	static async replaceTags(inPattern, inReplacement, inOptions = {}) {
+		if (!(typeof inPattern === "string" || inPattern instanceof RegExp)) throw new Error(`Tagger | replaceTags | inPattern must be of type string or regexp`);
+		if (!(typeof inReplacement === "string" || typeof inReplacement === "function")) throw new Error(`Tagger | replaceTags | inReplacement must be of type string or function`);
+		if (inOptions.caseInsensitive !== undefined && typeof inOptions.caseInsensitive !== "boolean") throw new Error(`Tagger | replaceTags | options.caseInsensitive must be of type boolean`);
+		let regex = inPattern;
+		if (typeof inPattern === "string") {
+			regex = this._tagToRegex(inPattern.trim(), {});
+			if (!(regex instanceof RegExp)) throw new Error(`Tagger | replaceTags | inPattern cannot be a value comparison`);
+			if (inOptions.caseInsensitive) regex = new RegExp(regex.source, "i");
 		}
+		return this._replaceTags(tag => tag.replace(regex, inReplacement), inOptions, "replaceTags", "replace");
 	}
 
 	/**
-	 * Gets objects in a scene based on a given set of tags and options
+	 * Registers a tag rule, which replaces part of a tag when the tag is created or when tag rules are applied
 	 *
-	 * @param inTags
-	 * @param inOptions
-	 * @param inFunctionName
-	 * @returns {*}
-	 * @private
+	 * @param    {String/RegExp}    inToken     The text that the rule replaces, such as "{level}", or a regular expression matching it
+	 * @param    {Function}         inHandler   A function that is called with (tag, regex, index, context) and returns the new tag, where
+	 *                                          context contains the document, documentData, documentName, scene, user and batch
+	 * @param    {Object}           inOptions   An optional object that can contain any of the following:
+	 *                                              <br>- label {String}            - the name of the rule, defaults to the token
+	 *                                              <br>- description {String}      - a description of what the rule does
 	 */
-	static _getObjectsByTags(inTags, inOptions, inFunctionName) {
+	static registerRule(inToken, inHandler, inOptions = {}) {
+		TaggerHandler.registerRule(inToken, inHandler, inOptions);
+	}
 
-		const options = foundry.utils.mergeObject({
-			objects: false,
-			ignore: false,
-			matchAny: false,
-			allScenes: false,
-			matchExactly: false,
-			caseInsensitive: false,
-			sceneId: game.canvas.id
-		}, inOptions)
+	/**
+	 * Unregisters a tag rule
+	 *
+	 * @param    {String}           inToken     The label or token of the rule to remove
+	 *
+	 * @returns  {Boolean}                      Whether a rule was removed
+	 */
+	static unregisterRule(inToken) {
+		return TaggerHandler.unregisterRule(inToken);
+	}
 
-		if (typeof options.matchAny !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.matchAny must be of type boolean`);
-		if (typeof options.caseInsensitive !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.caseInsensitive must be of type boolean`);
-		if (typeof options.matchExactly !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.matchExactly must be of type boolean`);
-		if (typeof options.allScenes !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.allScenes must be of type boolean`);
-		if (options.matchAny && options.matchExactly) throw new Error(`Tagger | ${inFunctionName} | options.matchAny and options.matchExactly cannot both be true, they are opposites`);
-		if (options.objects && !Array.isArray(options.objects)) throw new Error(`Tagger | ${inFunctionName} | options.objects must be of type array`);
-		if (options.ignore && !Array.isArray(options.ignore)) throw new Error(`Tagger | ${inFunctionName} | options.ignore must be of type array`);
-		if (!options.allScenes) {
-			if (typeof options.sceneId !== "string") throw new Error(`Tagger | ${inFunctionName} | options.sceneId must be of type string`);
-		}
+	/**
+	 * Gets all registered tag rules
+	 *
+	 * @returns  {Array<Object>}                An array of objects with the token, regex and description of each rule
+	 */
+	static getRules() {
+		return Array.from(TaggerHandler.rules.values()).map(({ token, regex, description }) => ({ token, regex, description }));
+	}
+
+	/**
+	 * Registers where a module stores tag references in the data of its documents, such as "tagger:door" in a flag, so
+	 * that tag rules are applied to them when a document is created. References are only processed while the module is
+	 * active.
+	 *
+	 * @param    {String}           inModuleId  The ID of the module, registering it again replaces the previous registration
+	 * @param    {Object}           inOptions   An optional object that can contain any of the following:
+	 *                                              <br>- references {Array}        - objects with the path to a tag reference, such as "flags.my-module.actions.*.target",
+	 *                                                                            where * matches every entry of an array, and the prefix that marks the
+	 *                                                                            value as a tag reference, such as "tagger:"
+	 *                                              <br>- children {Function}       - called with the document data, returns an array of nested data that rules
+	 *                                                                            are also applied to, such as attached objects
+	 *                                              <br>- createsChildren {Boolean} - whether the children are created as documents of their own later, so that
+	 *                                                                            rules aren't applied to them twice
+	 */
+	static registerReferences(inModuleId, inOptions = {}) {
+		TaggerHandler.registerReferences(inModuleId, inOptions);
+	}
 
-		const providedTags = this._validateTags(inTags, inFunctionName)
-			.map(t => t instanceof RegExp ? t : options.caseInsensitive ? t.toLowerCase() : t)
-			.map(t => t instanceof RegExp ? t : `^${t}$`)
-			.map(t => t instanceof RegExp ? t : new RegExp(t.replaceAll(".", "\.").replaceAll("*", "(.*?)")));
+	/**
+	 * Unregisters the tag references of a module
+	 *
+	 * @param    {String}           inModuleId  The ID of the module
+	 *
+	 * @returns  {Boolean}                      Whether a registration was removed
+	 */
+	static unregisterReferences(inModuleId) {
+		return TaggerHandler.unregisterReferences(inModuleId);
+	}
 
-		if (options.allScenes) {
-			return this._testTagsOnAllObjectsFromAllScenes(providedTags, options);
+	/**
+	 * Exports the tags of every tagged document in a scene, or in the whole world, as JSON or CSV. Each row has the UUID
+	 * of the document along with its type, name, scene and position for reference.
+	 *
+	 * @param    {String/Scene}     inScope     "scene" for the current scene (or options.sceneId), "world" for every scene and world level
+	 *                                          document, or a Scene
+	 * @param    {Object}           inOptions   An optional object that can contain any of the following:
+	 *                                              <br>- format {String}           - "json" (default) or "csv"
+	 *                                              <br>- sceneId {String}          - the scene to export when inScope is "scene", defaults to the current scene
+	 *                                              <br>- download {Boolean}        - whether to also save the export as a file
+	 *
+	 * @returns  {String}                       The exported tags
+	 */
+	static exportTags(inScope = "scene", inOptions = {}) {
+		const options = foundry.utils.mergeObject({
+			format: "json",
+			sceneId: game.canvas.id,
+			download: false
+		}, inOptions);
+
+		if (!["json", "csv"].includes(options.format)) throw new Error(`Tagger | exportTags | options.format must be "json" or "csv"`);
+		if (typeof options.download !== "boolean") throw new Error(`Tagger | exportTags | options.download must be of type boolean`);
+
+		let scene = null;
+		if (inScope instanceof foundry.abstract.Document && inScope.documentName === "Scene") {
+			scene = inScope;
+		} else if (inScope === "scene") {
+			scene = game.scenes.get(options.sceneId);
+			if (!scene) throw new Error(`Tagger | exportTags | could not find scene with id ${options.sceneId}`);
+		} else if (inScope !== "world") {
+			throw new Error(`Tagger | exportTags | inScope must be "scene", "world" or a Scene`);
 		}
 
-		let scene = game.scenes.get(options.sceneId);
-		if (!scene) throw new Error(`Tagger | ${inFunctionName} | could not find scene with id ${options.sceneId}`);
+		const rows = this._getExportRows(scene ? [scene.id] : null);
+		const data = options.format === "csv"
+			? toCsv(rows.map(row => ({ ...row, tags: row.tags.join(", ") })), exportColumns)
+			: JSON.stringify(rows, null, 2);
 
-		if (!options.objects) {
-			options.objects = this._getObjectsFromScene(scene);
+		if (options.download) {
+			const type = options.format === "csv" ? "text/csv" : "application/json";
+			foundry.utils.saveDataToFile(data, type, `tagger-${scene ? scene.name.slugify() : "world"}.${options.format}`);
 		}
 
-		return this._testObjectsTags(providedTags, options);
-
+		return data;
 	}
 
 	/**
-	 * Gets all objects from all scenes based on a set of tags and options
+	 * Imports tags exported with exportTags, matching each row to a document by its UUID. Rows with UUIDs that no longer
+	 * exist are skipped and reported.
 	 *
-	 * @param inTestTags
-	 * @param options
-	 * @returns {Object}
-	 * @private
+	 * @param    {String/Array}     inData      The JSON or CSV text, or an array of rows with a uuid and tags
+	 * @param    {Object}           inOptions   An optional object that can contain any of the following:
+	 *                                              <br>- format {String}           - "json" or "csv", detected from the data when not given
+	 *                                              <br>- mode {String}             - "merge" (default) to add the imported tags to the existing tags, or
+	 *                                                                            "replace" to set the tags to the imported tags
+	 *                                              <br>- dryRun {Boolean}          - report what would change without updating any documents
+	 *
+	 * @returns  {Promise<Object>}              A promise that resolves to an object with the changes, which are objects with the document,
+	 *                                          its previousTags and its new tags, and the missing UUIDs
 	 */
-	static _testTagsOnAllObjectsFromAllScenes(inTestTags, options) {
-
-		return Object.fromEntries(Array.from(game.scenes).map(scene => {
+	static async importTags(inData, inOptions = {}) {
+		const options = foundry.utils.mergeObject({
+			format: false,
+			mode: "merge",
+			dryRun: false
+		}, inOptions);
 
-			const sceneOptions = foundry.utils.mergeObject(options, {
-				objects: this._getObjectsFromScene(scene)
-			});
+		if (options.format && !["json", "csv"].includes(options.format)) throw new Error(`Tagger | importTags | options.format must be "json" or "csv"`);
+		if (!["merge", "replace"].includes(options.mode)) throw new Error(`Tagger | importTags | options.mode must be "merge" or "replace"`);
+		if (typeof options.dryRun !== "boolean") throw new Error(`Tagger | importTags | options.dryRun must be of type boolean`);
 
-			return [[scene.id], this._testObjectsTags(inTestTags, sceneOptions)];
+		const { changes, missing } = this._getImportChanges(this._parseImportData(inData, options.format, "importTags"), options.mode, "importTags");
 
-		}).filter(entry => entry[1].length));
+		if (!options.dryRun) await this._writeTags(changes, "import");
 
+		return { changes, missing };
 	}
 
 	/**
-	 * Gets all objects from a scene
+	 * Reverts the most recent change to tags made through the Tagger API or the tag fields in this session, restoring
+	 * the tags each document had before the change
 	 *
-	 * @param scene
-	 * @returns {Array}
-	 * @private
+	 * @returns  {Promise<Object|null>}         A promise that resolves to the change set that was undone, or null if there was nothing to undo
 	 */
-	static _getObjectsFromScene(scene) {
-		return [
-			...Array.from(scene.tokens),
-			...Array.from(scene.lights),
-			...Array.from(scene.sounds),
-			...Array.from(scene.templates),
-			...Array.from(scene.tiles),
-			...Array.from(scene.walls),
-			...Array.from(scene.drawings),
-			...Array.from(scene.notes),
-			...Array.from(scene.regions),
-		].deepFlatten().filter(Boolean)
+	static async undo() {
+		return TagHistory.undo();
 	}
 
 	/**
-	 * Tests objects' tags against a set of tags
+	 * Reapplies the most recently undone change to tags
 	 *
-	 * @param inTestTags
-	 * @param options
-	 * @returns {*}
-	 * @private
+	 * @returns  {Promise<Object|null>}         A promise that resolves to the change set that was redone, or null if there was nothing to redo
 	 */
-	static _testObjectsTags(inTestTags, options) {
-
-		if (options.ignore) {
-			options.objects = options.objects.filter(obj => !options.ignore.includes(obj));
-		}
-
-		return options.objects.filter(obj => {
-			return this._testObject(obj, inTestTags, options);
-		}).map(obj => options.returnObjects ? (obj._object ?? obj) : obj);
-
+	static async redo() {
+		return TagHistory.redo();
 	}
 
 	/**
-	 * Tests an object's tags against a set of tags
+	 * Gets the changes to tags made through the Tagger API or the tag fields in this session that can be undone or redone
 	 *
-	 * @param inObject
-	 * @param inTestTags
-	 * @param options
-	 * @returns {boolean|*}
-	 * @private
+	 * @returns  {Array<Object>}                An array of change sets, newest first, with the operation, timestamp, whether it was undone,
+	 *                                          and the changes, which are objects with the uuid, the tags before and the tags after
 	 */
-	static _testObject(inObject, inTestTags, options) {
-
-		let objectTags = this.getTags(inObject);
-
-		if (!objectTags) return false;
+	static getHistory() {
+		return TagHistory.getHistory();
+	}
 
-		objectTags = objectTags.map(tag => options.caseInsensitive ? tag.toLowerCase() : tag)
+	/**
+	 * Gets every tag definition, which give tags or wildcard patterns a color, an icon and a description
+	 *
+	 * @returns  {Array<Object>}                An array of objects with the pattern, color, icon and description of each definition
+	 */
+	static getTagDefinitions() {
+		return getTagDefinitions();
+	}
 
-		const matchedTags = inTestTags.filter(testTag => {
-			return objectTags.filter(tag => {
-				return testTag.test(tag);
-			}).length;
-		})
+	/**
+	 * Gets the definition that applies to a tag, where definitions for the exact tag take precedence over wildcard patterns
+	 *
+	 * @param    {String}           inTag       The tag to get the definition of
+	 *
+	 * @returns  {Object|null}                  An object with the pattern, color, icon and description of the definition, or null if there is none
+	 */
+	static getTagDefinition(inTag) {
+		if (typeof inTag !== "string") throw new Error(`Tagger | getTagDefinition | inTag must be of type string`);
+		return getTagDefinition(inTag.trim());
+	}
 
-		if (options.matchAny) {
-			return matchedTags.length;
-		}
+	/**
+	 * Takes control of the PlaceableObjects in the current scene that match the given tags, switching to the canvas
+	 * layer they are on. Only one layer can be controlled at a time, so when objects on several layers match, the
+	 * active layer is used if it has any, otherwise the layer with the most matching objects.
+	 *
+	 * @param    {String/RegExp/Array<String/RegExp>/Object}     inTags      An array of tags, a string of tags (separated by commas), or a query
+	 *                                                                      expression (see Tag Queries) that will be searched for
+	 * @param    {Object}           inOptions   An optional object that can contain any of the getByTag options, except allScenes and sceneId, and:
+	 *                                              <br>- mode {String}             - "replace" to release all other objects first (default), "add" to add to the
+	 *                                                                            current selection, or "subtract" to release the matching objects
+	 *
+	 * @returns  {Array<PlaceableObject>}       The matching PlaceableObjects that were controlled or released
+	 */
+	static select(inTags, inOptions = {}) {
+		const { mode = "replace", ...options } = inOptions;
+		this._validateSelectionMode(mode, "select");
+		const objects = this._getCanvasObjects(inTags, options, "select");
+		return this._controlObjects(objects, mode);
+	}
 
-		if (options.matchExactly) {
-			return matchedTags.length === inTestTags.length && objectTags.length === inTestTags.length;
+	/**
+	 * Targets the tokens in the current scene that match the given tags
+	 *
+	 * @param    {String/RegExp/Array<String/RegExp>/Object}     inTags      An array of tags, a string of tags (separated by commas), or a query
+	 *                                                                      expression (see Tag Queries) that will be searched for
+	 * @param    {Object}           inOptions   An optional object that can contain any of the getByTag options, except allScenes, sceneId and
+	 *                                          documentTypes, and:
+	 *                                              <br>- mode {String}             - "replace" to untarget all other tokens first (default), "add" to add to the
+	 *                                                                            current targets, or "subtract" to untarget the matching tokens
+	 *
+	 * @returns  {Array<Token>}                 The matching Tokens that were targeted or untargeted
+	 */
+	static target(inTags, inOptions = {}) {
+		const { mode = "replace", ...options } = inOptions;
+		this._validateSelectionMode(mode, "target");
+		const tokens = this._getCanvasObjects(inTags, { ...options, documentTypes: ["Token"] }, "target");
+		if (mode === "replace") {
+			Array.from(game.user.targets).forEach(token => token.setTarget(false, { releaseOthers: false, groupSelection: true }));
 		}
+		tokens.forEach(token => token.setTarget(mode !== "subtract", { releaseOthers: false, groupSelection: true }));
+		game.user.broadcastActivity({ targets: game.user.targets.ids });
+		return tokens;
+	}
 
-		return matchedTags.length >= inTestTags.length;
+	/**
+	 * Opens a search box that selects or targets the objects in the current scene that match the tags typed into it
+	 */
+	static openQuickSearch() {
+		TagQuickSearch.open();
+	}
 
+	/**
+	 * Turns the canvas overlay that shows the tags of every tagged object in the current scene on or off
+	 *
+	 * @param    {Boolean}          inActive    Whether the overlay should be shown, toggles it when not given
+	 *
+	 * @returns  {Boolean}                      Whether the overlay is now shown
+	 */
+	static toggleOverlay(inActive) {
+		if (inActive !== undefined && typeof inActive !== "boolean") throw new Error(`Tagger | toggleOverlay | inActive must be of type boolean`);
+		return TagOverlay.toggle(inActive);
 	}
 
 	/**
-	 * Validates tags so that we know they are clean
+	 * Gets a row for every tagged document in the given scenes, or in every scene and the world when no scenes are given
 	 *
-	 * @param inTags
-	 * @param inFunctionName
-	 * @returns {Array<string|RegExp>}
+	 * @param sceneIds
+	 * @returns {Array<Object>}
 	 * @private
 	 */
-	static _validateTags(inTags, inFunctionName) {
-		if (!(typeof inTags === "string" || inTags instanceof RegExp || Array.isArray(inTags))) throw new Error(`Tagger | ${inFunctionName} | inTags must be of type string or array`);
-
-		let providedTags = typeof inTags === "string" ? inTags.split(",") : inTags;
-
-		if (!Array.isArray(providedTags)) providedTags = [providedTags]
-
-		providedTags.forEach(t => {
-			if (!(typeof t === "string" || t instanceof RegExp)) throw new Error(`Tagger | ${inFunctionName} | tags in array must be of type string or regexp`);
-		});
-
-		return providedTags.map(t => t instanceof RegExp ? t : t.trim()).filter(Boolean);
+	static _getExportRows(sceneIds) {
+		const documents = new Set();
+		for (const taggedDocuments of TagIndex.getTagUsage(sceneIds).values()) {
+			taggedDocuments.forEach(document => documents.add(document));
+		}
+		return Array.from(documents)
+			.map(document => {
+				const point = placeableDocumentTypes.includes(document.documentName) ? getObjectPosition(document) : null;
+				return {
+					uuid: document.uuid,
+					type: document.documentName,
+					name: document.name ?? document.text ?? "",
+					scene: document.parent?.documentName === "Scene" ? document.parent.name : "",
+					x: point ? Math.round(point.x) : null,
+					y: point ? Math.round(point.y) : null,
+					tags: this.getTags(document)
+				};
+			})
+			.sort((a, b) => a.scene.localeCompare(b.scene) || a.type.localeCompare(b.type) || a.name.localeCompare(b.name) || a.uuid.localeCompare(b.uuid));
 	}
 
 	/**
-	 * Casts a set of objects to their documents
+	 * Turns imported JSON or CSV text into rows, detecting the format from the data when it is not given
 	 *
-	 * @param inObjects
+	 * @param inData
+	 * @param inFormat
 	 * @param inFunctionName
-	 * @returns {Array<Document>}
+	 * @returns {Array<Object>}
 	 * @private
 	 */
-	static _validateObjects(inObjects, inFunctionName) {
-		let relevantObjects = Array.isArray(inObjects) ? inObjects : [inObjects];
-		relevantObjects.forEach(obj => {
-			if (!obj) throw new Error(`Tagger | ${inFunctionName} | Invalid object provided`);
-		})
-		return relevantObjects.map(obj => obj?.document ?? obj);
+	static _parseImportData(inData, inFormat, inFunctionName) {
+		if (Array.isArray(inData)) return inData;
+		if (typeof inData !== "string") throw new Error(`Tagger | ${inFunctionName} | inData must be of type string or array`);
+		const format = inFormat || (/^\s*[\[{]/.test(inData) ? "json" : "csv");
+		if (format === "csv") return parseCsv(inData, inFunctionName);
+		let rows;
+		try {
+			rows = JSON.parse(inData);
+		} catch (err) {
+			throw new Error(`Tagger | ${inFunctionName} | invalid JSON: ${err.message}`);
+		}
+		if (!Array.isArray(rows)) throw new Error(`Tagger | ${inFunctionName} | the JSON must be an array of rows`);
+		return rows;
 	}
-}
+
+	/**
+	 * Works out the new tags of the document in each imported row
+	 *
+	 * @param rows
+	 * @param mode
+	 * @param inFunctionName
+	 * @returns {{changes: Array<Object>, missing: Array<String>}}
+	 * @private
+	 */
+	static _getImportChanges(rows, mode, inFunctionName) {
+		const changes = [];
+		const missing = [];
+		for (const row of rows) {
+			const uuid = typeof row?.uuid === "string" ? row.uuid.trim() : "";
+			if (!uuid) throw new Error(`Tagger | ${inFunctionName} | every row must have a uuid`);
+			if (row.tags === undefined || row.tags === null) throw new Error(`Tagger | ${inFunctionName} | every row must have tags, use an empty value to clear the tags of a document`);
+			const document = fromUuidSync(uuid);
+			if (!(document instanceof foundry.abstract.Document)) {
+				missing.push(uuid);
+				continue;
+			}
+			const importedTags = this._validateTags(row.tags, inFunctionName);
+			const previousTags = this.getTags(document);
+			const tags = Array.from(new Set(mode === "replace" ? importedTags : [...previousTags, ...importedTags]));
+			if (tags.length === previousTags.length && tags.every((tag, index) => tag === previousTags[index])) continue;
+			changes.push({ document, previousTags, tags });
+		}
+		return { changes, missing };
+	}
+
+	/**
+	 * Gets the PlaceableObjects in the currently viewed scene that match the given tags
+	 *
+	 * @param inTags
+	 * @param inOptions
+	 * @param inFunctionName
+	 * @returns {Array<PlaceableObject>}
+	 * @private
+	 */
+	static _getCanvasObjects(inTags, inOptions, inFunctionName) {
+		if (!canvas?.ready || !canvas.scene) throw new Error(`Tagger | ${inFunctionName} | there is no scene being viewed`);
+		if (inOptions.allScenes) throw new Error(`Tagger | ${inFunctionName} | options.allScenes cannot be used, only the current scene is searched`);
+		if (inOptions.documentTypes && inOptions.documentTypes.some(type => !placeableDocumentTypes.includes(type))) {
+			throw new Error(`Tagger | ${inFunctionName} | options.documentTypes can only contain placeable document types`);
+		}
+		return this._getObjectsByTags(inTags, {
+			...inOptions,
+			sceneId: canvas.scene.id,
+			returnObjects: true,
+			returnMatches: false
+		}, inFunctionName).filter(object => object?.layer);
+	}
+
+	static _validateSelectionMode(mode, inFunctionName) {
+		if (!["replace", "add", "subtract"].includes(mode)) throw new Error(`Tagger | ${inFunctionName} | options.mode must be "replace", "add" or "subtract"`);
+	}
+
+	/**
+	 * Controls or releases PlaceableObjects, switching to the canvas layer that has the most of them if the active layer
+	 * has none
+	 *
+	 * @param objects
+	 * @param mode
+	 * @returns {Array<PlaceableObject>}
+	 * @private
+	 */
+	static _controlObjects(objects, mode = "replace") {
+		const layers = new Map();
+		for (const object of objects) {
+			if (!layers.has(object.layer)) layers.set(object.layer, []);
+			layers.get(object.layer).push(object);
+		}
+		let layer = canvas.activeLayer;
+		if (mode !== "subtract" && !layers.has(layer) && layers.size) {
+			layer = Array.from(layers.keys()).sort((a, b) => layers.get(b).length - layers.get(a).length)[0];
+			layer.activate();
+		}
+		if (mode === "replace") layer.releaseAll?.();
+		const layerObjects = layers.get(layer) ?? [];
+		for (const object of layerObjects) {
+			if (mode === "subtract") {
+				object.release();
+			} else {
+				object.control({ releaseOthers: false });
+			}
+		}
+		return layerObjects;
+	}
+
+	/**
+	 * Updates the tags on a given set of objects, skipping any object whose tags would not change. Players who are not
+	 * allowed to update some of the objects have the change made by a GM, if the relay is enabled.
+	 *
+	 * @param inObjects
+	 * @param inOptions     The options passed to _getTagUpdates, and the operation
+	 * @returns {Promise<Array<Document>>}
+	 * @private
+	 */
+	static async _updateTags(inObjects, { operation = "update", ...inOptions } = {}) {
+		if (TagRelay.shouldRelay(inObjects)) return TagRelay.request(inObjects, operation, inOptions);
+		return this._writeTags(this._getTagUpdates(inObjects, inOptions), operation);
+	}
+
+	/**
+	 * Works out the new tags of a given set of objects, leaving out any object whose tags would not change
+	 *
+	 * @param inObjects
+	 * @param inTags
+	 * @param isSetting
+	 * @param isAdding
+	 * @param isToggling
+	 * @param applyRules
+	 * @param keyValue
+	 * @param hidden        Whether to change the GM-only tags instead of the public tags
+	 * @param user          The user that tag rules are applied for
+	 * @returns {Array<{document: Document, tags: Array<String>}>}
+	 * @private
+	 */
+	static _getTagUpdates(inObjects, {
+		inTags = false,
+		isSetting = false,
+		isAdding = true,
+		isToggling = false,
+		applyRules = false,
+		keyValue = false,
+		hidden = false
+	} = {}, user = game.user) {
+
+		const isClearing = !inTags && !applyRules;
+		inTags = inTags || [];
+
+		const pendingUpdates = [];
+		const batch = TaggerHandler._getBatch();
+		for (let obj of inObjects) {
+			const currentTags = this.getTags(obj, { hidden });
+			let tags = new Set(currentTags);
+			if (isClearing) {
+				tags = new Set();
+			} else if (keyValue) {
+				tags = new Set(this._replaceTagValue(currentTags, keyValue.key, keyValue.value));
+			} else if (isToggling) {
+				const incomingTags = new Set(inTags);
+				tags = Array.from(tags).filter(tag => {
+					const hasTag = incomingTags.has(tag);
+					if (hasTag) incomingTags.delete(tag);
+					return !hasTag;
+				});
+				tags = new Set([...tags, ...incomingTags]);
+			} else if (isSetting) {
+				tags = new Set([...inTags]);
+			} else if (isAdding) {
+				tags = new Set([...tags, ...inTags]);
+			} else {
+				inTags.forEach(t => tags.delete(t));
+			}
+			tags = Array.from(tags);
+			if (applyRules && tags.length) {
+				tags = TaggerHandler.applyRules(tags, TaggerHandler._createRuleContext({ document: obj, user, batch }));
+			}
+			if (tags.length === currentTags.length && tags.every((tag, index) => tag === currentTags[index])) continue;
+			pendingUpdates.push({ document: obj, tags, hidden });
+		}
+
+		return pendingUpdates;
+	}
+
+	/**
+	 * Writes new tags to documents, grouping them by parent and document type so that each group is a single update.
+	 * Updates with hidden set write the GM-only tags, which are kept apart from the documents, see GMTagStore.
+	 *
+	 * @param pendingUpdates
+	 * @param operation
+	 * @param relayedFor    The ID of the player a GM is making the change for, which is left out of the GM's history
+	 * @returns {Promise<Array<Document>>}
+	 * @private
+	 */
+	static async _writeTags(pendingUpdates, operation = "update", relayedFor = null) {
+
+		const previousTags = new Map(pendingUpdates.map(update => [update, this.getTags(update.document, { hidden: !!update.hidden })]));
+
+		const groups = new Map();
+		for (const { document, tags, hidden } of pendingUpdates) {
+			if (hidden) continue;
+			const key = [document.pack, document.parent?.uuid, document.documentName].join(".");
+			if (!groups.has(key)) {
+				groups.set(key, {
+					documentName: document.documentName,
+					options: { parent: document.parent, pack: document.pack, tagger: { operation, recorded: true, relayedFor } },
+					updates: []
+				});
+			}
+			groups.get(key).updates.push(tags.length
+				? { _id: document.id, [CONSTANTS.TAG_PROPERTY]: tags }
+				: { _id: document.id, [CONSTANTS.REMOVE_TAG_PROPERTY]: null });
+		}
+
+		const updatedDocuments = [];
+		for (const { documentName, options, updates } of groups.values()) {
+			const documents = await CONFIG[documentName].documentClass.updateDocuments(updates, options);
+			updatedDocuments.push(...documents);
+		}
+
+		const hiddenUpdates = pendingUpdates.filter(update => update.hidden);
+		if (hiddenUpdates.length) {
+			await GMTagStore.setTags(hiddenUpdates);
+			updatedDocuments.push(...hiddenUpdates.map(update => update.document));
+		}
+
+		if (operation !== "undo" && operation !== "redo" && !relayedFor) {
+			TagHistory.record(operation, pendingUpdates.map(update => ({
+				uuid: update.document.uuid,
+				hidden: !!update.hidden,
+				before: previousTags.get(update),
+				after: this.getTags(update.document, { hidden: !!update.hidden })
+			})));
+		}
+
+		return updatedDocuments;
+	}
+
+	/**
+	 * Rewrites the tags of every document in the given scenes that has a tag the replacer changes, removing duplicates
+	 * and writing all documents in as few updates as possible
+	 *
+	 * @param inReplacer
+	 * @param inOptions
+	 * @param inFunctionName
+	 * @param inOperation
+	 * @returns {Promise<Array<Object>>}
+	 * @private
+	 */
+	static async _replaceTags(inReplacer, inOptions, inFunctionName, inOperation) {
+
+		const options = foundry.utils.mergeObject({
+			sceneId: game.canvas.id,
+			sceneIds: false,
+			allScenes: false,
+			documentTypes: false,
+			caseInsensitive: false,
+			dryRun: false
+		}, inOptions);
+
+		if (typeof options.allScenes !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.allScenes must be of type boolean`);
+		if (typeof options.dryRun !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.dryRun must be of type boolean`);
+		if (options.documentTypes) {
+			if (!Array.isArray(options.documentTypes)) throw new Error(`Tagger | ${inFunctionName} | options.documentTypes must be of type array`);
+			const unsupportedType = options.documentTypes.find(type => !placeableDocumentTypes.includes(type) && !worldDocumentTypes.includes(type));
+			if (unsupportedType) throw new Error(`Tagger | ${inFunctionName} | options.documentTypes contains unsupported document type "${unsupportedType}"`);
+		}
+
+		const searchesScenes = !options.documentTypes || options.documentTypes.some(type => placeableDocumentTypes.includes(type));
+		const searchesWorld = options.documentTypes
+			? options.documentTypes.some(type => worldDocumentTypes.includes(type))
+			: options.allScenes;
+
+		let sceneIds = [];
+		if (searchesScenes && options.allScenes) {
+			sceneIds = game.scenes.map(scene => scene.id);
+		} else if (searchesScenes) {
+			if (options.sceneIds && !Array.isArray(options.sceneIds)) throw new Error(`Tagger | ${inFunctionName} | options.sceneIds must be of type array`);
+			sceneIds = options.sceneIds || [options.sceneId];
+			for (const sceneId of sceneIds) {
+				if (typeof sceneId !== "string") throw new Error(`Tagger | ${inFunctionName} | options.sceneId must be of type string`);
+				if (!game.scenes.get(sceneId)) throw new Error(`Tagger | ${inFunctionName} | could not find scene with id ${sceneId}`);
+			}
+		}
+		if (searchesWorld) sceneIds.push(TagIndex.WORLD_KEY);
+
+		const documents = new Set();
+		for (const [tag, taggedDocuments] of TagIndex.getTagUsage(sceneIds)) {
+			if (inReplacer(tag) === tag) continue;
+			taggedDocuments.forEach(document => documents.add(document));
+		}
+
+		const changes = [];
+		for (const document of documents) {
+			if (options.documentTypes && !options.documentTypes.includes(document.documentName)) continue;
+			const previousTags = this.getTags(document);
+			const tags = Array.from(new Set(previousTags.flatMap(tag => this._validateTags(inReplacer(tag), inFunctionName))));
+			if (tags.length === previousTags.length && tags.every((tag, index) => tag === previousTags[index])) continue;
+			changes.push({ document, previousTags, tags });
+		}
+
+		if (!options.dryRun) await this._writeTags(changes, inOperation);
+
+		return changes;
+	}
+
+	/**
+	 * Gets objects in a scene based on a given set of tags and options
+	 *
+	 * @param inTags
+	 * @param inOptions
+	 * @param inFunctionName
+	 * @returns {*}
+	 * @private
+	 */
+	static _getObjectsByTags(inTags, inOptions, inFunctionName) {
+
+		const options = foundry.utils.mergeObject({
+			objects: false,
+			ignore: false,
+			matchAny: false,
+			allScenes: false,
+			matchExactly: false,
+			caseInsensitive: false,
+			sceneId: game.canvas.id,
+			documentTypes: false,
+			collections: false,
+			region: false,
+			shape: false,
+			rectangle: false,
+			origin: false,
+			distance: false,
+			lineOfSight: false,
+			sortByDistance: false,
+			returnObjects: false,
+			returnMatches: false,
+			sortBy: false,
+			limit: false,
+			includeHidden: false
+		}, inOptions)
+
+		if (typeof options.matchAny !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.matchAny must be of type boolean`);
+		if (typeof options.caseInsensitive !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.caseInsensitive must be of type boolean`);
+		if (typeof options.matchExactly !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.matchExactly must be of type boolean`);
+		if (typeof options.allScenes !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.allScenes must be of type boolean`);
+		if (typeof options.returnObjects !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.returnObjects must be of type boolean`);
+		this._validateHiddenOption(options.includeHidden, "includeHidden", inFunctionName);
+		if (options.matchAny && options.matchExactly) throw new Error(`Tagger | ${inFunctionName} | options.matchAny and options.matchExactly cannot both be true, they are opposites`);
+		if (options.objects && !Array.isArray(options.objects)) throw new Error(`Tagger | ${inFunctionName} | options.objects must be of type array`);
+		if (options.ignore && !Array.isArray(options.ignore)) throw new Error(`Tagger | ${inFunctionName} | options.ignore must be of type array`);
+		if (options.collections && !Array.isArray(options.collections)) throw new Error(`Tagger | ${inFunctionName} | options.collections must be of type array`);
+		if (options.documentTypes) {
+			if (!Array.isArray(options.documentTypes)) throw new Error(`Tagger | ${inFunctionName} | options.documentTypes must be of type array`);
+			const unsupportedType = options.documentTypes.find(type => !placeableDocumentTypes.includes(type) && !worldDocumentTypes.includes(type));
+			if (unsupportedType) throw new Error(`Tagger | ${inFunctionName} | options.documentTypes contains unsupported document type "${unsupportedType}"`);
+		}
+
+		if (options.region && (options.region.document ?? options.region)?.documentName !== "Region") throw new Error(`Tagger | ${inFunctionName} | options.region must be a Region or RegionDocument`);
+		if (options.shape && typeof options.shape.contains !== "function") throw new Error(`Tagger | ${inFunctionName} | options.shape must be a shape with a contains method, such as a PIXI.Polygon`);
+		if (options.rectangle && !["x", "y", "width", "height"].every(key => Number.isFinite(options.rectangle[key]))) throw new Error(`Tagger | ${inFunctionName} | options.rectangle must be an object with numeric x, y, width and height`);
+		if (options.distance !== false && !(Number.isFinite(options.distance) && options.distance >= 0)) throw new Error(`Tagger | ${inFunctionName} | options.distance must be a positive number`);
+		if (typeof options.lineOfSight !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.lineOfSight must be of type boolean`);
+		if (typeof options.sortByDistance !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.sortByDistance must be of type boolean`);
+		if ((options.distance !== false || options.lineOfSight || options.sortByDistance) && !getObjectPosition(options.origin)) {
+			throw new Error(`Tagger | ${inFunctionName} | options.origin must be a point or a PlaceableObject when using options.distance, options.lineOfSight or options.sortByDistance`);
+		}
+		if (options.lineOfSight && (options.allScenes || options.sceneId !== canvas.scene?.id)) throw new Error(`Tagger | ${inFunctionName} | options.lineOfSight can only be used in the currently viewed scene`);
+		if (typeof options.returnMatches !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.returnMatches must be of type boolean`);
+		if (options.sortBy !== false && !["name", "number", "type"].includes(options.sortBy)) throw new Error(`Tagger | ${inFunctionName} | options.sortBy must be "name", "number" or "type"`);
+		if (options.sortBy && options.sortByDistance) throw new Error(`Tagger | ${inFunctionName} | options.sortBy and options.sortByDistance cannot both be used`);
+		if (options.limit !== false && !(Number.isInteger(options.limit) && options.limit > 0)) throw new Error(`Tagger | ${inFunctionName} | options.limit must be a positive integer`);
+
+		const searchesScenes = !options.documentTypes || options.documentTypes.some(type => placeableDocumentTypes.includes(type));
+		const searchesWorld = !!options.documentTypes && options.documentTypes.some(type => worldDocumentTypes.includes(type));
+
+		const { validatedTags, providedTags } = this._compileTags(inTags, options, inFunctionName);
+		options.terms = this._getMatchTerms(validatedTags, providedTags, options);
+
+		if (options.allScenes) {
+			const resultOptions = { ...options };
+			if (options.sortBy || options.limit) {
+				Object.assign(options, { sortBy: false, limit: false, returnMatches: false, returnObjects: false });
+			}
+			const results = searchesScenes ? this._testTagsOnAllObjectsFromAllScenes(providedTags, options, validatedTags) : {};
+			if (searchesWorld) {
+				const worldDocuments = this._testObjectsTags(providedTags, foundry.utils.mergeObject(options, {
+					objects: this._getCandidateObjects(null, validatedTags, providedTags, options)
+				}));
+				if (worldDocuments.length) results.world = worldDocuments;
+			}
+			return resultOptions.sortBy || resultOptions.limit ? this._combineSceneResults(results, resultOptions) : results;
+		}
+
+		if (options.collections) {
+			options.objects = options.collections.flatMap(collection => {
+				return collection instanceof foundry.abstract.Document ? [collection] : Array.from(collection);
+			});
+		}
+
+		if (!options.objects) {
+			options.objects = searchesWorld ? this._getCandidateObjects(null, validatedTags, providedTags, options) : [];
+			if (searchesScenes) {
+				if (typeof options.sceneId !== "string") throw new Error(`Tagger | ${inFunctionName} | options.sceneId must be of type string`);
+				let scene = game.scenes.get(options.sceneId);
+				if (!scene) throw new Error(`Tagger | ${inFunctionName} | could not find scene with id ${options.sceneId}`);
+				options.objects = this._getCandidateObjects(scene, validatedTags, providedTags, options).concat(options.objects);
+			}
+		}
+
+		return this._testObjectsTags(providedTags, options);
+
+	}
+
+	/**
+	 * Compiles tags into the regular expressions that objects are tested against, or a query expression into
+	 * options.query
+	 *
+	 * @param inTags
+	 * @param options
+	 * @param inFunctionName
+	 * @returns {{validatedTags: Array<String|RegExp>, providedTags: Array<RegExp|Object>}}
+	 * @private
+	 */
+	static _compileTags(inTags, options, inFunctionName) {
+		if (isTagQuery(inTags)) {
+			if (options.matchAny || options.matchExactly) throw new Error(`Tagger | ${inFunctionName} | options.matchAny and options.matchExactly cannot be used with query expressions`);
+			options.query = this._compileQuery(parseTagQuery(inTags, inFunctionName), options);
+			return { validatedTags: [], providedTags: [] };
+		}
+		const validatedTags = this._validateTags(inTags, inFunctionName, true);
+		return { validatedTags, providedTags: validatedTags.map(t => this._tagToRegex(t, options)) };
+	}
+
+	/**
+	 * Splits a key/value tag such as "faction:goblin" into its key and value
+	 *
+	 * @param inTag
+	 * @returns {{key: String, value: String}|null}
+	 * @private
+	 */
+	static _parseTagValue(inTag) {
+		const separatorIndex = inTag.indexOf(CONSTANTS.VALUE_SEPARATOR);
+		if (separatorIndex <= 0) return null;
+		return {
+			key: inTag.slice(0, separatorIndex).trim(),
+			value: inTag.slice(separatorIndex + CONSTANTS.VALUE_SEPARATOR.length).trim()
+		};
+	}
+
+	/**
+	 * Replaces the value of every tag with the given key, keeping the position of the first one
+	 *
+	 * @param inTags
+	 * @param inKey
+	 * @param inValue
+	 * @returns {Array<String>}
+	 * @private
+	 */
+	static _replaceTagValue(inTags, inKey, inValue) {
+		const hasKey = tag => this._parseTagValue(tag)?.key === inKey;
+		const index = inTags.findIndex(hasKey);
+		const tags = inTags.filter(tag => !hasKey(tag));
+		if (inValue) {
+			tags.splice(index === -1 ? tags.length : index, 0, `${inKey}${CONSTANTS.VALUE_SEPARATOR}${inValue}`);
+		}
+		return tags;
+	}
+
+	/**
+	 * Creates a test for a value comparison such as "level>=3", which matches tags such as "level:4"
+	 *
+	 * @param inTag
+	 * @param options
+	 * @returns {{test: Function}|null}
+	 * @private
+	 */
+	static _createValueComparison(inTag, options) {
+		const comparison = inTag.match(/^([^<>=!:,*]+?)\s*(>=|<=|!=|>|<|=)\s*([^<>=]+)$/);
+		if (!comparison) return null;
+		const tag = options.caseInsensitive ? inTag.toLowerCase() : inTag;
+		const [key, operator, value] = comparison.slice(1).map(part => options.caseInsensitive ? part.trim().toLowerCase() : part.trim());
+		const isNumber = (str) => str !== "" && Number.isFinite(Number(str));
+		return {
+			test: (objectTag) => {
+				if (objectTag === tag) return true;
+				const keyValue = this._parseTagValue(objectTag);
+				if (keyValue?.key !== key) return false;
+				const numeric = isNumber(keyValue.value) && isNumber(value);
+				const [left, right] = numeric ? [Number(keyValue.value), Number(value)] : [keyValue.value, value];
+				switch (operator) {
+					case "=":
+						return left === right;
+					case "!=":
+						return left !== right;
+				}
+				if (!numeric) return false;
+				switch (operator) {
+					case ">=":
+						return left >= right;
+					case "<=":
+						return left <= right;
+					case ">":
+						return left > right;
+					case "<":
+						return left < right;
+				}
+			}
+		};
+	}
+
+	/**
+	 * Converts a tag into a regular expression, or a value comparison, that can be tested against objects' tags
+	 *
+	 * @param inTag
+	 * @param options
+	 * @returns {RegExp|{test: Function}}
+	 * @private
+	 */
+	static _tagToRegex(inTag, options) {
+		if (inTag instanceof RegExp) return inTag;
+		const valueComparison = this._createValueComparison(inTag, options);
+		if (valueComparison) return valueComparison;
+		return globToRegex(options.caseInsensitive ? inTag.toLowerCase() : inTag);
+	}
+
+	/**
+	 * Adds regular expressions to every tag in a parsed query tree
+	 *
+	 * @param inQuery
+	 * @param options
+	 * @returns {Object}
+	 * @private
+	 */
+	static _compileQuery(inQuery, options) {
+		switch (inQuery.type) {
+			case "tag":
+				return { ...inQuery, regex: this._tagToRegex(inQuery.tag, options) };
+			case "not":
+				return { ...inQuery, child: this._compileQuery(inQuery.child, options) };
+			default:
+				return { ...inQuery, children: inQuery.children.map(child => this._compileQuery(child, options)) };
+		}
+	}
+
+	/**
+	 * Tests a set of tags against a compiled query tree
+	 *
+	 * @param inObjectTags
+	 * @param inQuery
+	 * @returns {Boolean}
+	 * @private
+	 */
+	static _testQuery(inObjectTags, inQuery) {
+		switch (inQuery.type) {
+			case "tag":
+				return inObjectTags.some(tag => inQuery.regex.test(tag));
+			case "not":
+				return !this._testQuery(inObjectTags, inQuery.child);
+			case "and":
+				return inQuery.children.every(child => this._testQuery(inObjectTags, child));
+			case "or":
+				return inQuery.children.some(child => this._testQuery(inObjectTags, child));
+		}
+	}
+
+	/**
+	 * Gets the tags of an object that match the given tags, or the terms of a query expression that aren't negated
+	 *
+	 * @param inObject
+	 * @param inTags
+	 * @param inOptions
+	 * @param inFunctionName
+	 * @returns {Array<String>}
+	 * @private
+	 */
+	static _getMatchedTags(inObject, inTags, inOptions, inFunctionName) {
+		const options = { ...inOptions };
+		const { validatedTags, providedTags } = this._compileTags(inTags, options, inFunctionName);
+		const terms = this._getMatchTerms(validatedTags, providedTags, options);
+		return Array.from(new Set(this._getMatches(inObject, terms, options).map(match => match.tag)));
+	}
+
+	/**
+	 * Gets the terms that tags are matched against, which are the given tags, or the terms of a query expression that
+	 * aren't negated
+	 *
+	 * @param inValidatedTags
+	 * @param inProvidedTags
+	 * @param options
+	 * @returns {Array<{tag: String|RegExp, regex: RegExp|{test: Function}}>}
+	 * @private
+	 */
+	static _getMatchTerms(inValidatedTags, inProvidedTags, options) {
+		if (options.query) return this._getQueryTerms(options.query);
+		return inValidatedTags.map((tag, index) => ({ tag, regex: inProvidedTags[index] }));
+	}
+
+	/**
+	 * Gets the tag terms in a query tree that aren't negated
+	 *
+	 * @param inQuery
+	 * @param negated
+	 * @returns {Array<Object>}
+	 * @private
+	 */
+	static _getQueryTerms(inQuery, negated = false) {
+		switch (inQuery.type) {
+			case "tag":
+				return negated ? [] : [inQuery];
+			case "not":
+				return this._getQueryTerms(inQuery.child, !negated);
+			default:
+				return inQuery.children.flatMap(child => this._getQueryTerms(child, negated));
+		}
+	}
+
+	/**
+	 * Gets every tag of an object that matches a term, along with the values captured by the term's wildcards or
+	 * regular expression groups
+	 *
+	 * @param inObject
+	 * @param inTerms
+	 * @param options
+	 * @returns {Array<{term: String|RegExp, tag: String, captures: Array<String>}>}
+	 * @private
+	 */
+	static _getMatches(inObject, inTerms, options) {
+		let objectTags = this.getTags(inObject);
+		if (options.includeHidden) objectTags = objectTags.concat(this.getTags(inObject, { hidden: true }));
+		return inTerms.flatMap(({ tag: term, regex }) => objectTags.flatMap(tag => {
+			const testTag = options.caseInsensitive ? tag.toLowerCase() : tag;
+			if (!regex.test(testTag)) return [];
+			const flags = regex instanceof RegExp && options.caseInsensitive && !regex.flags.includes("i") ? `${regex.flags}i` : regex.flags;
+			const match = regex instanceof RegExp ? new RegExp(regex.source, flags.replace("g", "")).exec(tag) : null;
+			return [{ term, tag, captures: match?.slice(1) ?? [] }];
+		}));
+	}
+
+	/**
+	 * Gets the detailed result of an object that matched, for the returnMatches option
+	 *
+	 * @param inObject
+	 * @param options
+	 * @returns {{document: Document, object: PlaceableObject|null, sceneId: String|null, matches: Array<Object>}}
+	 * @private
+	 */
+	static _getMatchResult(inObject, options) {
+		const document = inObject?.document ?? inObject;
+		return {
+			document,
+			object: document.object ?? null,
+			sceneId: document.parent?.documentName === "Scene" ? document.parent.id : null,
+			matches: this._getMatches(document, options.terms, options)
+		};
+	}
+
+	/**
+	 * Sorts objects by their name, their document type, or the first number captured by the terms they matched, where
+	 * objects without a number are sorted last
+	 *
+	 * @param inObjects
+	 * @param options
+	 * @returns {Array}
+	 * @private
+	 */
+	static _sortObjects(inObjects, options) {
+		const getName = (obj) => {
+			const document = obj?.document ?? obj;
+			return document.name ?? document.text ?? "";
+		};
+		const getKey = {
+			name: getName,
+			type: (obj) => (obj?.document ?? obj).documentName,
+			number: (obj) => this._getMatches(obj, options.terms, options)
+				.flatMap(match => match.captures)
+				.filter(capture => capture?.trim())
+				.map(capture => Number(capture))
+				.find(number => Number.isFinite(number)) ?? Infinity
+		}[options.sortBy];
+		return inObjects
+			.map(obj => ({ obj, key: getKey(obj), name: getName(obj) }))
+			.sort((a, b) => {
+				const order = typeof a.key === "number" ? (a.key === b.key ? 0 : a.key < b.key ? -1 : 1) : a.key.localeCompare(b.key);
+				return order || a.name.localeCompare(b.name);
+			})
+			.map(({ obj }) => obj);
+	}
+
+	/**
+	 * Gets all objects from all scenes based on a set of tags and options
+	 *
+	 * @param inTestTags
+	 * @param options
+	 * @param inQueryTags
+	 * @returns {Object}
+	 * @private
+	 */
+	static _testTagsOnAllObjectsFromAllScenes(inTestTags, options, inQueryTags) {
+
+		return Object.fromEntries(Array.from(game.scenes).map(scene => {
+
+			const sceneOptions = foundry.utils.mergeObject(options, {
+				objects: this._getCandidateObjects(scene, inQueryTags, inTestTags, options)
+			});
+
+			return [[scene.id], this._testObjectsTags(inTestTags, sceneOptions)];
+
+		}).filter(entry => entry[1].length));
+
+	}
+
+	/**
+	 * Gets the objects from a scene, or the world level documents if no scene is given, that could match the given tags,
+	 * using the tag index when it is available
+	 *
+	 * @param scene
+	 * @param inQueryTags
+	 * @param inTestTags
+	 * @param options
+	 * @returns {Array}
+	 * @private
+	 */
+	static _getCandidateObjects(scene, inQueryTags, inTestTags, options) {
+		const getAllObjects = () => scene ? this._getObjectsFromScene(scene) : this._getWorldDocuments();
+		const indexKey = scene?.id ?? TagIndex.WORLD_KEY;
+		if (!TagIndex.isBuilt || options.includeHidden) {
+			return getAllObjects();
+		}
+		if (options.query) {
+			return TagIndex.getQueryCandidates(indexKey, options.query, options) ?? getAllObjects();
+		}
+		if (!inTestTags.length) {
+			return getAllObjects();
+		}
+		return TagIndex.getCandidates(indexKey, inQueryTags, inTestTags, options);
+	}
+
+	/**
+	 * Gets all objects from a scene
+	 *
+	 * @param scene
+	 * @returns {Array}
+	 * @private
+	 */
+	static _getObjectsFromScene(scene) {
+		return [
+			...Array.from(scene.tokens),
+			...Array.from(scene.lights),
+			...Array.from(scene.sounds),
+			...Array.from(scene.templates),
+			...Array.from(scene.tiles),
+			...Array.from(scene.walls),
+			...Array.from(scene.drawings),
+			...Array.from(scene.notes),
+			...Array.from(scene.regions),
+		].deepFlatten().filter(Boolean)
+	}
+
+	/**
+	 * Gets all world level documents that can be tagged, including owned Items and Journal pages
+	 *
+	 * @returns {Array}
+	 * @private
+	 */
+	static _getWorldDocuments() {
+		return [
+			...Array.from(game.scenes),
+			...Array.from(game.actors),
+			...Array.from(game.items),
+			...Array.from(game.journal),
+			...Array.from(game.macros),
+			...Array.from(game.tables),
+			...Array.from(game.playlists),
+			...Array.from(game.cards),
+		].flatMap(document => [document, ...this._getEmbeddedDocuments(document).filter(embedded => {
+			return worldDocumentTypes.includes(embedded.documentName);
+		})]);
+	}
+
+	/**
+	 * Gets the taggable documents embedded in a document, such as the objects in a scene or the items owned by an actor
+	 *
+	 * @param document
+	 * @returns {Array}
+	 * @private
+	 */
+	static _getEmbeddedDocuments(document) {
+		switch (document.documentName) {
+			case "Scene":
+				return this._getObjectsFromScene(document);
+			case "Actor":
+				return Array.from(document.items);
+			case "JournalEntry":
+				return Array.from(document.pages);
+			default:
+				return [];
+		}
+	}
+
+	/**
+	 * Tests objects' tags against a set of tags
+	 *
+	 * @param inTestTags
+	 * @param options
+	 * @returns {*}
+	 * @private
+	 */
+	static _testObjectsTags(inTestTags, options) {
+
+		if (options.ignore) {
+			options.objects = options.objects.filter(obj => !options.ignore.includes(obj));
+		}
+
+		if (options.documentTypes) {
+			options.objects = options.objects.filter(obj => options.documentTypes.includes((obj?.document ?? obj).documentName));
+		}
+
+		let objects = options.objects.filter(obj => {
+			return this._testObject(obj, inTestTags, options);
+		});
+
+		if (hasSpatialFilter(options)) {
+			objects = filterSpatially(objects, options);
+		}
+
+		return this._getResults(this._sortAndLimitObjects(objects, options), options);
+
+	}
+
+	/**
+	 * Applies the sortBy and limit options to the objects that matched
+	 *
+	 * @param objects
+	 * @param options
+	 * @returns {Array}
+	 * @private
+	 */
+	static _sortAndLimitObjects(objects, options) {
+		if (options.sortBy) objects = this._sortObjects(objects, options);
+		if (options.limit) objects = objects.slice(0, options.limit);
+		return objects;
+	}
+
+	/**
+	 * Turns the objects that matched into the results that are returned, as match details, PlaceableObjects or Documents
+	 *
+	 * @param objects
+	 * @param options
+	 * @returns {Array}
+	 * @private
+	 */
+	static _getResults(objects, options) {
+		if (options.returnMatches) return objects.map(obj => this._getMatchResult(obj, options));
+		return objects.map(obj => options.returnObjects ? (obj._object ?? obj) : obj);
+	}
+
+	/**
+	 * Sorts and limits the objects found in all scenes as a whole, and then groups them by scene again, so that a limit
+	 * applies to all scenes together rather than to each scene
+	 *
+	 * @param results     The objects found in each scene, keyed by scene ID or "world"
+	 * @param options
+	 * @returns {Object<String, Array>}
+	 * @private
+	 */
+	static _combineSceneResults(results, options) {
+		const keys = new Map(Object.entries(results).flatMap(([key, objects]) => objects.map(obj => [obj, key])));
+		const combined = {};
+		for (const obj of this._sortAndLimitObjects(Array.from(keys.keys()), options)) {
+			(combined[keys.get(obj)] ??= []).push(obj);
+		}
+		return Object.fromEntries(Object.entries(combined).map(([key, objects]) => [key, this._getResults(objects, options)]));
+	}
+
+	/**
+	 * Tests an object's tags against a set of tags
+	 *
+	 * @param inObject
+	 * @param inTestTags
+	 * @param options
+	 * @returns {boolean|*}
+	 * @private
+	 */
+	static _testObject(inObject, inTestTags, options) {
+
+		let objectTags = this.getTags(inObject);
+		if (options.includeHidden) objectTags = objectTags.concat(this.getTags(inObject, { hidden: true }));
+
+		if (!objectTags) return false;
+
+		objectTags = objectTags.map(tag => options.caseInsensitive ? tag.toLowerCase() : tag)
+
+		if (options.query) {
+			return this._testQuery(objectTags, options.query);
+		}
+
+		const matchedTags = inTestTags.filter(testTag => {
+			return objectTags.filter(tag => {
+				return testTag.test(tag);
+			}).length;
+		})
+
+		if (options.matchAny) {
+			return matchedTags.length;
+		}
+
+		if (options.matchExactly) {
+			return matchedTags.length === inTestTags.length && objectTags.length === inTestTags.length;
+		}
+
+		return matchedTags.length >= inTestTags.length;
+
+	}
+
+	/**
+	 * Validates tags so that we know they are clean. Tags that are written are split on every comma, while tags that are
+	 * searched for keep the commas inside glob alternations such as {a,b}.
+	 *
+	 * @param inTags
+	 * @param inFunctionName
+	 * @param isSearch
+	 * @returns {Array<string|RegExp>}
+	 * @private
+	 */
+	static _validateTags(inTags, inFunctionName, isSearch = false) {
+		if (!(typeof inTags === "string" || inTags instanceof RegExp || Array.isArray(inTags))) throw new Error(`Tagger | ${inFunctionName} | inTags must be of type string or array`);
+
+		let providedTags = typeof inTags === "string" ? (isSearch ? splitTags(inTags) : inTags.split(",")) : inTags;
+
+		if (!Array.isArray(providedTags)) providedTags = [providedTags]
+
+		providedTags.forEach(t => {
+			if (!(typeof t === "string" || t instanceof RegExp)) throw new Error(`Tagger | ${inFunctionName} | tags in array must be of type string or regexp`);
+		});
+
+		return providedTags.map(t => t instanceof RegExp ? t : t.trim()).filter(Boolean);
+	}
+
+	/**
+	 * Validates the options of the methods that write tags
+	 *
+	 * @param inOptions
+	 * @param inFunctionName
+	 * @returns {{hidden: Boolean}}
+	 * @private
+	 */
+	static _validateWriteOptions(inOptions, inFunctionName) {
+		const options = foundry.utils.mergeObject({ hidden: false }, inOptions);
+		this._validateHiddenOption(options.hidden, "hidden", inFunctionName);
+		return options;
+	}
+
+	/**
+	 * Makes sure that GM-only tags are only read or written by GMs
+	 *
+	 * @param inValue
+	 * @param inOptionName
+	 * @param inFunctionName
+	 * @private
+	 */
+	static _validateHiddenOption(inValue, inOptionName, inFunctionName) {
+		if (typeof inValue !== "boolean") throw new Error(`Tagger | ${inFunctionName} | options.${inOptionName} must be of type boolean`);
+		if (inValue && !game.user.isGM) throw new Error(`Tagger | ${inFunctionName} | options.${inOptionName} can only be used by GMs`);
+	}
+
+	/**
+	 * Casts a set of objects to their documents
+	 *
+	 * @param inObjects
+	 * @param inFunctionName
+	 * @returns {Array<Document>}
+	 * @private
+	 */
+	static _validateObjects(inObjects, inFunctionName) {
+		let relevantObjects = Array.isArray(inObjects) ? inObjects : [inObjects];
+		relevantObjects.forEach(obj => {
+			if (!obj) throw new Error(`Tagger | ${inFunctionName} | Invalid object provided`);
+		})
+		return relevantObjects.map(obj => obj?.document ?? obj);
+	}
+}
 
 class TaggerConfig {
 
-	static IS_V13 = false;
+	static IS_V13 = false;
+
+	static _handleTokenConfig(app, html) {
+		const jqueryHtml = $(html);
+		const part = this.IS_V13 ? "identity" : "character";
+		const elem = jqueryHtml.find(`div[data-tab="${part}"]`);
+		this._applyHtml(app, elem);
+	}
+
+	static _handleTileConfig(app, html) {
+		const jqueryHtml = $(html);
+		const part = this.IS_V13 ? "appearance" : "basic";
+		const elem = jqueryHtml.find(`div[data-tab="${part}"]`);
+		this._applyHtml(app, elem);
+	}
+
+	static _handleDrawingConfig(app, html) {
+		const jqueryHtml = $(html);
+		const elem = jqueryHtml.find(`div[data-tab="position"]`);
+		this._applyHtml(app, elem);
+	}
+
+	static _handleAmbientLightConfig(app, html) {
+		const jqueryHtml = $(html);
+		let button = jqueryHtml.find(`button[name="submit"]`);
+		let elem = (button.length ? button : jqueryHtml.find(`button[type="submit"]`)).parent();
+		this._applyHtml(app, elem, true);
+	}
+
+	static _handleRegionConfig(app, html) {
+		const jqueryHtml = $(html);
+		const elem = jqueryHtml.find(`section[data-tab="identity"]`);
+		this._applyHtml(app, elem);
+	}
+
+	static _handleGenericConfig(app, html) {
+		const jqueryHtml = $(html);
+		let button = jqueryHtml.find(`button[name="submit"]`);
+		let elem = (button.length ? button : jqueryHtml.find(`button[type="submit"]`));
+		if(this.IS_V13){
+			elem = elem.parent();
+		}
+		this._applyHtml(app, elem, true);
+	}
+
+	static _addHeaderControl(app, controls) {
+		if (!worldDocumentTypes.includes(app.document?.documentName) || !app.document.isOwner) return;
+		app.options.actions.taggerEditTags ??= () => TagEditor.open(app.document);
+		controls.push({
+			icon: "fas fa-tags",
+			label: "Tagger",
+			action: "taggerEditTags"
+		});
+	}
+
+	static _addHeaderButton(app, buttons) {
+		if (!worldDocumentTypes.includes(app.document?.documentName) || !app.document.isOwner) return;
+		buttons.unshift({
+			label: "Tagger",
+			class: "tagger-edit-tags",
+			icon: "fas fa-tags",
+			onclick: () => TagEditor.open(app.document)
+		});
+	}
+
+	static _applyHtml(app, elem, insertBefore = false) {
+		if (!elem) return;
+		const object = app?.object?._object ?? app?.object ?? app.document;
+		const tagDocument = object?.document ?? object;
+        tagManagers[tagDocument.uuid] = new TagManager(tagDocument, app, elem, insertBefore);
+		if (game.user.isGM) {
+			const hiddenManager = new TagManager(tagDocument, app, elem, insertBefore, true);
+			tagManagers[hiddenManager.key] = hiddenManager;
+		}
+	}
+}
+
+const tagManagers = {};
+
+class TagEditor {
+
+	/**
+	 * Opens a dialog with a tag manager for documents that don't have a config sheet that tags can be added to
+	 *
+	 * @param tagDocument
+	 * @returns {Promise<void>}
+	 */
+	static async open(tagDocument) {
+		const dialog = new foundry.applications.api.DialogV2({
+			window: { title: `Tagger: ${tagDocument.name}`, icon: "fas fa-tags" },
+			position: { width: 400 },
+			content: `<div class="tagger-editor"></div>`,
+			buttons: [{
+				action: "save",
+				label: "Save",
+				icon: "fas fa-save",
+				default: true,
+				callback: () => ({
+					tags: tagManagers[tagDocument.uuid].tags,
+					hiddenTags: tagManagers[`${tagDocument.uuid}.hidden`]?.tags
+				})
+			}],
+			submit: async ({ tags, hiddenTags }) => {
+				await Tagger._updateTags([tagDocument], {
+					inTags: Tagger._validateTags(tags, "TagEditor"),
+					isSetting: true,
+					operation: "ui"
+				});
+				if (!hiddenTags) return;
+				await Tagger._updateTags([tagDocument], {
+					inTags: Tagger._validateTags(hiddenTags, "TagEditor"),
+					isSetting: true,
+					hidden: true,
+					operation: "ui"
+				});
+			}
+		});
+		await dialog.render({ force: true });
+		const elem = $(dialog.element).find(".tagger-editor");
+		tagManagers[tagDocument.uuid] = new TagManager(tagDocument, dialog, elem);
+		if (game.user.isGM) {
+			const hiddenManager = new TagManager(tagDocument, dialog, elem, false, true);
+			tagManagers[hiddenManager.key] = hiddenManager;
+		}
+	}
+
+}
+
+class TagBrowser extends foundry.applications.api.ApplicationV2 {
+
+	static DEFAULT_OPTIONS = {
+		id: "tagger-browser",
+		classes: ["tagger-browser"],
+		window: { title: "Tagger: Tag Browser", icon: "fas fa-tags", resizable: true },
+		position: { width: 520, height: 600 },
+		actions: {
+			selectTag: TagBrowser._onSelectTag,
+			highlightTag: TagBrowser._onHighlightTag,
+			panToTag: TagBrowser._onPanToTag,
+			openTagSheets: TagBrowser._onOpenTagSheets,
+			renameTag: TagBrowser._onRenameTag,
+			mergeTag: TagBrowser._onMergeTag,
+			deleteTag: TagBrowser._onDeleteTag
+		}
+	};
+
+	static MAX_SHEETS = 10;
+
+	static instance = null;
+
+	/**
+	 * Opens the tag browser, or brings it to the front if it is already open
+	 *
+	 * @returns {Promise<TagBrowser>}
+	 */
+	static async open() {
+		this.instance ??= new TagBrowser();
+		await this.instance.render({ force: true });
+		return this.instance;
+	}
+
+	/**
+	 * Re-renders the tag browser if it is open
+	 */
+	static refresh = foundry.utils.debounce(() => {
+		if (TagBrowser.instance?.rendered) TagBrowser.instance.render();
+	}, 100);
+
+	constructor(options) {
+		super(options);
+		this.scope = canvas?.scene ? "scene" : "world";
+		this.filter = "";
+	}
+
+	/**
+	 * Gets every tag in the current scope, along with the documents that carry it
+	 *
+	 * @returns {Map<String, Set<Document>>}
+	 */
+	_getTagUsage() {
+		return TagIndex.getTagUsage(this.scope === "scene" ? [canvas?.scene?.id] : null);
+	}
+
+	async _prepareContext(options) {
+		const tags = Array.from(this._getTagUsage().entries())
+			.map(([tag, documents]) => ({
+				tag,
+				count: documents.size,
+				documentTypes: Array.from(new Set(Array.from(documents).map(document => document.documentName))).sort()
+			}))
+			.sort((a, b) => a.tag.localeCompare(b.tag));
+		return { tags, scope: this.scope, filter: this.filter, hasScene: !!canvas?.scene };
+	}
+
+	async _renderHTML(context, options) {
+		const escape = foundry.utils.escapeHTML;
+		const rows = context.tags.map(({ tag, count, documentTypes }) => `
+			<li class="tag-row" data-tag="${escape(tag)}" ${this._matchesFilter(tag) ? "" : "hidden"}>
+				<span class="tag-name">${this._renderTagName(tag)}</span>
+				<span class="tag-count">${count}</span>
+				<span class="tag-types">${documentTypes.join(", ")}</span>
+				<span class="tag-actions">
+					<a data-action="selectTag" data-tooltip="Select on the canvas"><i class="fas fa-expand"></i></a>
+					<a data-action="highlightTag" data-tooltip="Highlight on the canvas"><i class="fas fa-bullseye"></i></a>
+					<a data-action="panToTag" data-tooltip="Pan to"><i class="fas fa-crosshairs"></i></a>
+					<a data-action="openTagSheets" data-tooltip="Open config sheets"><i class="fas fa-file-pen"></i></a>
+					<a data-action="renameTag" data-tooltip="Rename"><i class="fas fa-pen"></i></a>
+					<a data-action="mergeTag" data-tooltip="Merge into another tag"><i class="fas fa-code-merge"></i></a>
+					<a data-action="deleteTag" data-tooltip="Delete"><i class="fas fa-trash"></i></a>
+				</span>
+			</li>`).join("");
+		return `
+			<div class="tagger-browser-header">
+				<select name="scope">
+					<option value="scene" ${context.scope === "scene" ? "selected" : ""} ${context.hasScene ? "" : "disabled"}>Current Scene</option>
+					<option value="world" ${context.scope === "world" ? "selected" : ""}>Whole World</option>
+				</select>
+				<input type="search" name="filter" placeholder="Filter tags" value="${escape(context.filter)}">
+			</div>
+			<ol class="tagger-browser-list">
+				${rows || `<li class="tag-empty">No tags found</li>`}
+			</ol>`;
+	}
+
+	_replaceHTML(result, content, options) {
+		content.innerHTML = result;
+	}
+
+	_onRender(context, options) {
+		this.element.querySelector(`[name="scope"]`).addEventListener("change", (event) => {
+			this.scope = event.target.value;
+			this.render();
+		});
+		this.element.querySelector(`[name="filter"]`).addEventListener("input", (event) => {
+			this.filter = event.target.value;
+			this.element.querySelectorAll(".tag-row").forEach(row => {
+				row.hidden = !this._matchesFilter(row.dataset.tag);
+			});
+		});
+	}
+
+	_onClose(options) {
+		super._onClose(options);
+		TagBrowser.instance = null;
+	}
+
+	_renderTagName(tag) {
+		const escape = foundry.utils.escapeHTML;
+		const definition = getTagDefinition(tag);
+		if (!definition) return escape(tag);
+		const style = definition.color ? `style="background-color: ${definition.color}; color: ${getContrastColor(definition.color)}"` : "";
+		const tooltip = definition.description ? `data-tooltip="${escape(definition.description)}"` : "";
+		const icon = definition.icon ? `<i class="${escape(definition.icon)}"></i> ` : "";
+		return `<span class="tag-chip" ${style} ${tooltip}>${icon}${escape(tag)}</span>`;
+	}
+
+	_matchesFilter(tag) {
+		return tag.toLowerCase().includes(this.filter.trim().toLowerCase());
+	}
+
+	_getTargetTag(target) {
+		return target.closest("[data-tag]").dataset.tag;
+	}
+
+	_getTagDocuments(tag) {
+		return Array.from(this._getTagUsage().get(tag) ?? []);
+	}
+
+	_getCanvasObjects(documents) {
+		return documents
+			.filter(document => placeableDocumentTypes.includes(document.documentName) && document.parent === canvas.scene && document.object)
+			.map(document => document.object);
+	}
+
+	static _onSelectTag(event, target) {
+		const objects = this._getCanvasObjects(this._getTagDocuments(this._getTargetTag(target)));
+		if (!objects.length) return ui.notifications.warn("Tagger | There are no objects with this tag in the current scene");
+		Tagger._controlObjects(objects);
+	}
+
+	static _onHighlightTag(event, target) {
+		const objects = this._getCanvasObjects(this._getTagDocuments(this._getTargetTag(target)));
+		if (!objects.length) return ui.notifications.warn("Tagger | There are no objects with this tag in the current scene");
+		for (const object of objects) {
+			const point = getObjectPosition(object);
+			if (point) canvas.ping(point, { style: "pulse" });
+		}
+	}
+
+	static async _onPanToTag(event, target) {
+		const documents = this._getTagDocuments(this._getTargetTag(target));
+		let objects = this._getCanvasObjects(documents);
+		if (!objects.length) {
+			const scene = documents.find(document => placeableDocumentTypes.includes(document.documentName))?.parent;
+			if (!scene) return ui.notifications.warn("Tagger | There are no objects with this tag on any scene");
+			await scene.view();
+			objects = this._getCanvasObjects(documents);
+		}
+		const points = objects.map(object => getObjectPosition(object)).filter(Boolean);
+		if (!points.length) return;
+		canvas.animatePan({
+			x: points.reduce((total, point) => total + point.x, 0) / points.length,
+			y: points.reduce((total, point) => total + point.y, 0) / points.length
+		});
+	}
+
+	static _onOpenTagSheets(event, target) {
+		const documents = this._getTagDocuments(this._getTargetTag(target));
+		if (documents.length > TagBrowser.MAX_SHEETS) {
+			ui.notifications.warn(`Tagger | Only opening the first ${TagBrowser.MAX_SHEETS} of ${documents.length} config sheets`);
+		}
+		documents.slice(0, TagBrowser.MAX_SHEETS).forEach(document => document.sheet?.render(true));
+	}
+
+	static async _onRenameTag(event, target) {
+		const tag = this._getTargetTag(target);
+		const newTag = await foundry.applications.api.DialogV2.prompt({
+			window: { title: `Tagger: Rename "${tag}"` },
+			content: `<input type="text" name="tag" value="${foundry.utils.escapeHTML(tag)}" autofocus>
+				<p class="hint">Renaming a tag to one that already exists merges the two tags.</p>`,
+			ok: { label: "Rename", icon: "fas fa-pen", callback: (event, button) => button.form.elements.tag.value }
+		});
+		if (newTag === null || newTag === undefined) return;
+		return this._renameTag(tag, newTag);
+	}
+
+	static async _onMergeTag(event, target) {
+		const tag = this._getTargetTag(target);
+		const otherTags = Array.from(this._getTagUsage().keys()).filter(otherTag => otherTag !== tag).sort();
+		if (!otherTags.length) return ui.notifications.warn("Tagger | There are no other tags to merge into");
+		const options = otherTags.map(otherTag => `<option value="${foundry.utils.escapeHTML(otherTag)}">${foundry.utils.escapeHTML(otherTag)}</option>`);
+		const newTag = await foundry.applications.api.DialogV2.prompt({
+			window: { title: `Tagger: Merge "${tag}"` },
+			content: `<p>Replace "${foundry.utils.escapeHTML(tag)}" with:</p><select name="tag">${options.join("")}</select>`,
+			ok: { label: "Merge", icon: "fas fa-code-merge", callback: (event, button) => button.form.elements.tag.value }
+		});
+		if (newTag === null || newTag === undefined) return;
+		return this._renameTag(tag, newTag);
+	}
+
+	static async _onDeleteTag(event, target) {
+		const tag = this._getTargetTag(target);
+		const documents = this._getTagDocuments(tag);
+		const confirmed = await foundry.applications.api.DialogV2.confirm({
+			window: { title: `Tagger: Delete "${tag}"` },
+			content: `<p>Remove the tag "${foundry.utils.escapeHTML(tag)}" from ${documents.length} document(s)?</p>`
+		});
+		if (!confirmed) return;
+		return Tagger._updateTags(documents, { inTags: [tag], isAdding: false, operation: "ui" });
+	}
+
+	/**
+	 * Renames a tag on every document in the current scope that carries it, recorded as a change made in the UI
+	 *
+	 * @param fromTag
+	 * @param toTag
+	 * @returns {Promise<Array<Object>>}
+	 */
+	async _renameTag(fromTag, toTag) {
+		const newTags = Tagger._validateTags(toTag, "TagBrowser");
+		if (newTags.length !== 1) return ui.notifications.warn("Tagger | A tag can only be renamed to a single tag");
+		const [toTagName] = newTags;
+		return Tagger._replaceTags(tag => tag === fromTag ? toTagName : tag, this.scope === "scene"
+			? { sceneId: canvas.scene.id }
+			: { allScenes: true }, "TagBrowser", "ui");
+	}
+
+}
+
+class TagOverlay {
+
+	static DIM_ALPHA = 0.6;
+	static LABEL_COLOR = 0x000000;
+	static MATCH_COLOR = 0x834100;
+
+	static active = false;
+	static filter = "";
+	static onlyMatches = false;
+	static dim = false;
+	static caseInsensitive = false;
+	static filterError = null;
+	static container = null;
+
+	/**
+	 * Turns the overlay on or off, opening or closing its controls along with it
+	 *
+	 * @param active
+	 * @returns {Boolean}
+	 */
+	static toggle(active = !this.active) {
+		if (this.active === active) return active;
+		this.active = active;
+		if (active) {
+			TagOverlayControls.open();
+		} else {
+			TagOverlayControls.instance?.close();
+		}
+		this.draw();
+		if (ui.controls?.controls?.tokens?.tools?.taggerOverlay) {
+			ui.controls.controls.tokens.tools.taggerOverlay.active = active;
+			ui.controls.render();
+		}
+		return active;
+	}
+
+	/**
+	 * Redraws the overlay on the next frame if it is active
+	 */
+	static refresh = foundry.utils.debounce(() => TagOverlay.draw(), 50);
+
+	static clear() {
+		if (this.container && !this.container.destroyed) this.container.destroy({ children: true });
+		this.container = null;
+	}
+
+	static draw() {
+		this.clear();
+		if (!this.active || !canvas?.ready || !canvas.scene) return;
+
+		const matcher = this._getMatcher();
+		this.container = canvas.interface.addChild(new PIXI.Container());
+		this.container.eventMode = "none";
+
+		for (const document of Tagger._getObjectsFromScene(canvas.scene)) {
+			const tags = Tagger.getTags(document);
+			const object = document.object;
+			if (!tags.length || !object) continue;
+			const matches = !matcher || matcher(document);
+			if (matcher && !matches && this.dim && object.bounds) {
+				const { x, y, width, height } = object.bounds;
+				this.container.addChild(new PIXI.Graphics())
+					.beginFill(0x000000, this.DIM_ALPHA)
+					.drawRect(x, y, width, height)
+					.endFill();
+			}
+			if (matcher && !matches && this.onlyMatches) continue;
+			const point = getObjectPosition(object);
+			if (point) this._drawLabel(tags, point, matcher && matches);
+		}
+	}
+
+	static _drawLabel(tags, point, highlighted) {
+		const color = highlighted ? null : tags.map(tag => getTagDefinition(tag)?.color).find(Boolean);
+		const style = CONFIG.canvasTextStyle.clone();
+		style.fontSize = 16;
+		if (color) style.fill = getContrastColor(color);
+		const text = new foundry.canvas.containers.PreciseText(tags.join(", "), style);
+		text.anchor.set(0.5);
+		const background = new PIXI.Graphics()
+			.beginFill(color ? Number.parseInt(color.slice(1), 16) : (highlighted ? this.MATCH_COLOR : this.LABEL_COLOR), 0.75)
+			.drawRoundedRect(-text.width / 2 - 6, -text.height / 2 - 2, text.width + 12, text.height + 4, 5)
+			.endFill();
+		const label = this.container.addChild(new PIXI.Container());
+		label.addChild(background, text);
+		label.position.set(point.x, point.y);
+	}
+
+	/**
+	 * Creates a function that tests documents against the overlay's filter with the same logic as getByTag
+	 *
+	 * @returns {Function|null}
+	 * @private
+	 */
+	static _getMatcher() {
+		this.filterError = null;
+		if (!this.filter.trim()) return null;
+		const options = { matchAny: false, matchExactly: false, caseInsensitive: this.caseInsensitive };
+		try {
+			const { providedTags } = Tagger._compileTags(this.filter, options, "TagOverlay");
+			return (document) => !!Tagger._testObject(document, providedTags, options);
+		} catch (err) {
+			this.filterError = err.message;
+			return () => false;
+		}
+	}
+
+}
+
+class TagOverlayControls extends foundry.applications.api.ApplicationV2 {
+
+	static DEFAULT_OPTIONS = {
+		id: "tagger-overlay",
+		classes: ["tagger-overlay"],
+		window: { title: "Tagger: Tag Overlay", icon: "fas fa-tag" },
+		position: { width: 320, top: 80, left: 120 }
+	};
+
+	static instance = null;
+
+	static async open() {
+		this.instance ??= new TagOverlayControls();
+		await this.instance.render({ force: true });
+		return this.instance;
+	}
+
+	async _renderHTML(context, options) {
+		return `
+			<div class="form-group">
+				<input type="search" name="filter" placeholder="Filter, such as: door AND NOT secret" value="${foundry.utils.escapeHTML(TagOverlay.filter)}">
+			</div>
+			<p class="tagger-overlay-error" ${TagOverlay.filterError ? "" : "hidden"}>${foundry.utils.escapeHTML(TagOverlay.filterError ?? "")}</p>
+			<label class="checkbox"><input type="checkbox" name="caseInsensitive" ${TagOverlay.caseInsensitive ? "checked" : ""}> Case insensitive</label>
+			<label class="checkbox"><input type="checkbox" name="onlyMatches" ${TagOverlay.onlyMatches ? "checked" : ""}> Only show matching objects</label>
+			<label class="checkbox"><input type="checkbox" name="dim" ${TagOverlay.dim ? "checked" : ""}> Dim objects that don't match</label>`;
+	}
+
+	_replaceHTML(result, content, options) {
+		content.innerHTML = result;
+	}
+
+	_onRender(context, options) {
+		const error = this.element.querySelector(".tagger-overlay-error");
+		this.element.querySelector(`[name="filter"]`).addEventListener("input", (event) => {
+			TagOverlay.filter = event.target.value;
+			TagOverlay.draw();
+			error.textContent = TagOverlay.filterError ?? "";
+			error.hidden = !TagOverlay.filterError;
+		});
+		for (const name of ["caseInsensitive", "onlyMatches", "dim"]) {
+			this.element.querySelector(`[name="${name}"]`).addEventListener("change", (event) => {
+				TagOverlay[name] = event.target.checked;
+				TagOverlay.draw();
+				error.textContent = TagOverlay.filterError ?? "";
+				error.hidden = !TagOverlay.filterError;
+			});
+		}
+	}
+
+	_onClose(options) {
+		super._onClose(options);
+		TagOverlayControls.instance = null;
+		TagOverlay.toggle(false);
+	}
+
+}
+
+class TagQuickSearch extends foundry.applications.api.ApplicationV2 {
+
+	static DEFAULT_OPTIONS = {
+		id: "tagger-quick-search",
+		classes: ["tagger-quick-search"],
+		window: { title: "Tagger: Quick Search", icon: "fas fa-magnifying-glass" },
+		position: { width: 360, top: 80 }
+	};
+
+	static instance = null;
+
+	static async open() {
+		this.instance ??= new TagQuickSearch();
+		await this.instance.render({ force: true });
+		this.instance.element.querySelector(`[name="query"]`).focus();
+		return this.instance;
+	}
+
+	constructor(options) {
+		super(options);
+		this.query = "";
+		this.targeting = false;
+	}
+
+	async _renderHTML(context, options) {
+		return `
+			<input type="search" name="query" placeholder="Tags or a query, such as: guard AND NOT dead" value="${foundry.utils.escapeHTML(this.query)}">
+			<label class="checkbox"><input type="checkbox" name="targeting" ${this.targeting ? "checked" : ""}> Target tokens instead of selecting</label>
+			<p class="hint">Enter to select, Shift + Enter to add to the selection, Ctrl + Enter to remove from it</p>
+			<p class="tagger-quick-search-result"></p>`;
+	}
+
+	_replaceHTML(result, content, options) {
+		content.innerHTML = result;
+	}
+
+	_onRender(context, options) {
+		const input = this.element.querySelector(`[name="query"]`);
+		input.addEventListener("input", () => {
+			this.query = input.value;
+			this._showResult(this._search(objects => `${objects.length} matching object(s)`));
+		});
+		input.addEventListener("keydown", (event) => {
+			if (event.key !== "Enter") return;
+			event.preventDefault();
+			const mode = event.shiftKey ? "add" : (event.ctrlKey || event.metaKey ? "subtract" : "replace");
+			const action = this.targeting ? "target" : "select";
+			this._showResult(this._search(() => {
+				const objects = Tagger[action](this.query, { caseInsensitive: true, mode });
+				return `${mode === "subtract" ? "Removed" : (this.targeting ? "Targeted" : "Selected")} ${objects.length} object(s)`;
+			}));
+		});
+		this.element.querySelector(`[name="targeting"]`).addEventListener("change", (event) => {
+			this.targeting = event.target.checked;
+			this._showResult(this._search(objects => `${objects.length} matching object(s)`));
+		});
+	}
+
+	_onClose(options) {
+		super._onClose(options);
+		TagQuickSearch.instance = null;
+	}
+
+	/**
+	 * Runs a callback with the objects that match the current query, returning its message or the error the query caused
+	 *
+	 * @param callback
+	 * @returns {{message: String, error: Boolean}}
+	 * @private
+	 */
+	_search(callback) {
+		if (!this.query.trim()) return { message: "", error: false };
+		try {
+			const objects = Tagger._getCanvasObjects(this.query, {
+				caseInsensitive: true,
+				documentTypes: this.targeting ? ["Token"] : false
+			}, "Quick Search");
+			return { message: callback(objects), error: false };
+		} catch (err) {
+			return { message: err.message, error: true };
+		}
+	}
+
+	_showResult({ message, error }) {
+		const result = this.element.querySelector(".tagger-quick-search-result");
+		result.textContent = message;
+		result.classList.toggle("error", error);
+	}
+
+}
+
+class TagImportDialog extends foundry.applications.api.ApplicationV2 {
+
+	static DEFAULT_OPTIONS = {
+		id: "tagger-import",
+		classes: ["tagger-import"],
+		window: { title: "Tagger: Import Tags", icon: "fas fa-file-import", resizable: true },
+		position: { width: 560 },
+		actions: {
+			previewImport: TagImportDialog._onPreviewImport,
+			applyImport: TagImportDialog._onApplyImport
+		}
+	};
+
+	static async open() {
+		return new TagImportDialog().render({ force: true });
+	}
+
+	async _renderHTML(context, options) {
+		return `
+			<p class="hint">Paste tags exported with Tagger, as JSON or CSV, or pick a file. Rows are matched to documents by their UUID.</p>
+			<input type="file" name="file" accept=".json,.csv">
+			<textarea name="data" rows="10" placeholder='[{ "uuid": "Scene.abc.Wall.def", "tags": ["door"] }]'></textarea>
+			<div class="form-group">
+				<label>Mode</label>
+				<select name="mode">
+					<option value="merge">Merge - add the imported tags to the existing tags</option>
+					<option value="replace">Replace - set the tags to the imported tags</option>
+				</select>
+			</div>
+			<div class="tagger-import-preview"></div>
+			<footer class="form-footer">
+				<button type="button" data-action="previewImport"><i class="fas fa-eye"></i> Preview</button>
+				<button type="button" data-action="applyImport"><i class="fas fa-file-import"></i> Import</button>
+			</footer>`;
+	}
+
+	_replaceHTML(result, content, options) {
+		content.innerHTML = result;
+	}
+
+	_onRender(context, options) {
+		this.element.querySelector(`[name="file"]`).addEventListener("change", async (event) => {
+			const file = event.target.files[0];
+			if (!file) return;
+			this.element.querySelector(`[name="data"]`).value = await file.text();
+		});
+	}
+
+	_getImportOptions() {
+		return {
+			data: this.element.querySelector(`[name="data"]`).value,
+			mode: this.element.querySelector(`[name="mode"]`).value
+		};
+	}
+
+	_showPreview({ changes, missing }) {
+		const escape = foundry.utils.escapeHTML;
+		const rows = changes.map(({ document, previousTags, tags }) => {
+			const added = tags.filter(tag => !previousTags.includes(tag)).map(tag => `<span class="added">+${escape(tag)}</span>`);
+			const removed = previousTags.filter(tag => !tags.includes(tag)).map(tag => `<span class="removed">-${escape(tag)}</span>`);
+			return `<li><strong>${escape(document.name ?? document.documentName)}</strong> <span class="hint">${escape(document.uuid)}</span><br>${[...added, ...removed].join(" ")}</li>`;
+		});
+		const missingRows = missing.map(uuid => `<li>${escape(uuid)}</li>`);
+		this.element.querySelector(".tagger-import-preview").innerHTML = `
+			<p>${changes.length} document(s) will change.</p>
+			<ul>${rows.join("")}</ul>
+			${missing.length ? `<p>${missing.length} UUID(s) no longer exist and will be skipped:</p><ul class="missing">${missingRows.join("")}</ul>` : ""}`;
+	}
+
+	_showError(err) {
+		const preview = this.element.querySelector(".tagger-import-preview");
+		preview.innerHTML = `<p class="error"></p>`;
+		preview.querySelector(".error").textContent = err.message;
+	}
+
+	static async _onPreviewImport() {
+		const { data, mode } = this._getImportOptions();
+		try {
+			this._showPreview(await Tagger.importTags(data, { mode, dryRun: true }));
+		} catch (err) {
+			this._showError(err);
+		}
+	}
+
+	static async _onApplyImport() {
+		const { data, mode } = this._getImportOptions();
+		try {
+			const { changes, missing } = await Tagger.importTags(data, { mode });
+			ui.notifications.info(`Tagger | Imported tags to ${changes.length} document(s)${missing.length ? `, skipped ${missing.length} missing UUID(s)` : ""}`);
+			this.close();
+		} catch (err) {
+			this._showError(err);
+		}
+	}
+
+}
+
+class TagManager {
+
+	constructor(tagDocument, app, elem, insertBefore, hidden = false) {
+		this._tags = [];
+		this.tagDocument = tagDocument;
+		this.app = app;
+		this.elem = elem;
+		this.insertBefore = insertBefore;
+		this.hidden = hidden;
+		this.key = hidden ? `${tagDocument.uuid}.hidden` : tagDocument.uuid;
+		this.createElements()
+		this.tags = Tagger.getTags(this.tagDocument, { hidden }).filter(Boolean);
+		this.closing = false;
+		this.dropIndex = null;
+		this.suggestions = [];
+		this.suggestionIndex = -1;
+	}
+
+	static MAX_SUGGESTIONS = 10;
+
+	get tags() {
+		return this._tags;
+	}
+
+	set tags(tags) {
+		this._tags = Array.from(new Set(tags.map(tag => tag.trim()).filter(Boolean)));
+		this.hiddenInput.value = this._tags.join(",");
+		if (this.closing) return;
+		this.populateTags();
+	}
+
+	createElements() {
+
+		const fieldset = document.createElement("fieldset");
+		fieldset.setAttribute("class", this.hidden ? "tagger tagger-hidden" : "tagger");
+
+		fieldset.ondrop = (evt) => {
+			let dropData = false;
+
+			try {
+				dropData = JSON.parse(evt.dataTransfer.getData("text/plain"));
+			} catch (err) {
+				return;
+			}
+
+			if (!dropData.uuid || !dropData.tag) return;
+
+			if (dropData.uuid === this.key) {
+				const toTags = this.tags;
+				toTags.splice(toTags.indexOf(dropData.tag), 1)
+				toTags.splice(this.dropIndex ?? toTags.length, 0, dropData.tag)
+				this.tags = toTags;
+				return;
+			}
+
+			const toTags = this.tags;
+			if (toTags.includes(dropData.tag)) return;
+			toTags.splice(this.dropIndex ?? toTags.length, 0, dropData.tag)
+			this.tags = toTags;
+
+			const fromTags = tagManagers[dropData.uuid].tags;
+			fromTags.splice(dropData.index, 1);
+			tagManagers[dropData.uuid].tags = fromTags;
+		}
+
+		const legend = document.createElement("legend");
+		legend.innerHTML = this.hidden
+			? `<i class="fas fa-eye-slash"></i> GM-only tags (press enter to complete)`
+			: "Tagger (press enter to complete)";
+		fieldset.appendChild(legend);
+
+		const inputContainer = document.createElement("div");
+		inputContainer.setAttribute("class", "form-group");
+
+		this.input = document.createElement("input");
+		this.input.setAttribute("type", "text");
+		this.input.setAttribute("autocomplete", "off");
+		this.input.onkeydown = (evt) => this.inputKeyDown(evt);
+		this.input.oninput = () => this.updateSuggestions();
+		this.input.onfocus = () => this.updateSuggestions();
+		this.input.onblur = () => this.hideSuggestions();
+
+		inputContainer.appendChild(this.input);
+
+		this.suggestionList = document.createElement("ul");
+		this.suggestionList.setAttribute("class", "tagger-suggestions");
+		this.suggestionList.style.display = "none";
+		inputContainer.appendChild(this.suggestionList);
+
+		this.hiddenInput = document.createElement("input");
+		this.hiddenInput.setAttribute("type", "hidden");
+		this.hiddenInput.setAttribute("name", this.hidden ? CONSTANTS.GM_TAG_PROPERTY : CONSTANTS.TAG_PROPERTY);
+
+		inputContainer.appendChild(this.hiddenInput);
+
+		const addTagButton = document.createElement("button");
+		addTagButton.setAttribute("type", "button");
+		addTagButton.setAttribute("style", "min-width: 65px;");
+		addTagButton.innerHTML = "Add tags";
+		addTagButton.onclick = () => this.addTagsFromInput();
+		inputContainer.appendChild(addTagButton);
+
+		const applyRulesButton = document.createElement("button");
+		applyRulesButton.setAttribute("type", "button");
+		applyRulesButton.setAttribute("data-tooltip", "Apply tag rules");
+		applyRulesButton.onclick = () => this.applyRulesButtonClicked();
+
+		inputContainer.appendChild(applyRulesButton);
+
+		const applyRulesIcon = document.createElement("i");
+		applyRulesIcon.setAttribute("class", "fas fa-check");
+		applyRulesButton.appendChild(applyRulesIcon);
+
+		this.tagContainer = document.createElement("div");
+		this.tagContainer.setAttribute("class", "tag-container");
+
+		fieldset.appendChild(inputContainer);
+		fieldset.appendChild(this.tagContainer);
+
+		if (this.insertBefore) {
+			$(fieldset).insertBefore(this.elem);
+		} else {
+			this.elem.append(fieldset);
+		}
+
+		this.elem.closest("form").find(`button:last[type="submit"]`).on("click", () => {
+			this.closing = true;
+			this.addTagsFromInput();
+		});
+	}
+
+	async addTagsFromInput() {
+		const tag = Tagger._validateTags(this.input.value, "Add Tags");
+		if (!this.closing && !(await this.confirmNewTags(tag))) return;
+		this.tags = this.tags.concat(tag);
+		if (this.closing) return;
+		this.input.value = "";
+		this.hideSuggestions();
+	}
+
+	/**
+	 * Asks the user whether they want to add tags that no other document has, if the setting for it is enabled. GM-only
+	 * tags are not in the tag index, so they are never checked.
+	 *
+	 * @param tags
+	 * @returns {Promise<Boolean>}
+	 */
+	async confirmNewTags(tags) {
+		if (this.hidden || !game.settings.get(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.WARN_NEW_TAGS)) return true;
+		const usage = TagIndex.getTagUsage();
+		const rules = Array.from(TaggerHandler.rules.values());
+		const newTags = tags.filter(tag => {
+			return !usage.has(tag) && !this.tags.includes(tag) && !rules.some(rule => tag.search(rule.regex) !== -1);
+		});
+		if (!newTags.length) return true;
+		return foundry.applications.api.DialogV2.confirm({
+			window: { title: "Tagger: New Tags" },
+			content: `<p>No other document has ${newTags.length > 1 ? "these tags" : "this tag"}, add ${newTags.length > 1 ? "them" : "it"} anyway?</p>
+				<p><strong>${newTags.map(tag => foundry.utils.escapeHTML(tag)).join(", ")}</strong></p>`
+		});
+	}
+
+	/**
+	 * Gets the tags and tag rules that could complete the tag being typed. Tags that start with the typed text come
+	 * first, then tags that are used more often on the same type of document, then tags that are used more often
+	 * overall.
+	 *
+	 * @param text
+	 * @returns {Array<Object>}
+	 */
+	getSuggestions(text) {
+		const fragment = text.trim().toLowerCase();
+		const documentName = this.tagDocument instanceof foundry.data.PrototypeToken ? "Token" : this.tagDocument.documentName;
+
+		const tagSuggestions = Array.from(TagIndex.getTagUsage().entries())
+			.filter(([tag]) => !this.tags.includes(tag) && tag.toLowerCase().includes(fragment) && tag.toLowerCase() !== fragment)
+			.map(([tag, documents]) => {
+				const documentList = Array.from(documents);
+				return {
+					tag,
+					count: documentList.length,
+					sameType: documentList.filter(document => document.documentName === documentName).length,
+					isPrefix: tag.toLowerCase().startsWith(fragment)
+				};
+			})
+			.sort((a, b) => (b.isPrefix - a.isPrefix) || (b.sameType - a.sameType) || (b.count - a.count) || a.tag.localeCompare(b.tag))
+			.slice(0, TagManager.MAX_SUGGESTIONS);
+
+		const ruleStart = fragment.lastIndexOf("{");
+		const ruleFragment = ruleStart > -1 ? fragment.slice(ruleStart) : "";
+		const ruleSuggestions = Tagger.getRules()
+			.filter(({ token }) => ruleFragment && token.toLowerCase().startsWith(ruleFragment))
+			.map(({ token, description }) => ({ rule: token, description, replaceLength: ruleFragment.length }));
+
+		return [...tagSuggestions, ...ruleSuggestions];
+	}
+
+	updateSuggestions() {
+		if (this.closing) return;
+		const text = this.input.value.split(",").at(-1);
+		this.suggestions = this.getSuggestions(text);
+		this.suggestionIndex = -1;
+		this.suggestionList.innerHTML = "";
+		for (const [index, suggestion] of this.suggestions.entries()) {
+			const item = document.createElement("li");
+			const label = document.createElement("span");
+			const detail = document.createElement("span");
+			detail.setAttribute("class", "tagger-suggestion-detail");
+			if (suggestion.rule) {
+				item.classList.add("tagger-suggestion-rule");
+				label.textContent = suggestion.rule;
+				detail.textContent = "rule";
+				if (suggestion.description) item.setAttribute("data-tooltip", suggestion.description);
+			} else {
+				label.textContent = suggestion.tag;
+				detail.textContent = suggestion.count;
+				applyTagDefinition(label, suggestion.tag);
+			}
+			item.appendChild(label);
+			item.appendChild(detail);
+			item.onmousedown = (evt) => {
+				evt.preventDefault();
+				this.acceptSuggestion(index);
+			};
+			this.suggestionList.appendChild(item);
+		}
+		this.suggestionList.style.display = this.suggestions.length ? "block" : "none";
+	}
+
+	hideSuggestions() {
+		this.suggestions = [];
+		this.suggestionIndex = -1;
+		this.suggestionList.style.display = "none";
+	}
+
+	highlightSuggestion(index) {
+		this.suggestionIndex = (index + this.suggestions.length) % this.suggestions.length;
+		Array.from(this.suggestionList.children).forEach((item, itemIndex) => {
+			item.classList.toggle("active", itemIndex === this.suggestionIndex);
+			if (itemIndex === this.suggestionIndex) item.scrollIntoView({ block: "nearest" });
+		});
+	}
+
+	/**
+	 * Completes the tag being typed with a suggested tag and adds the typed tags, or inserts a tag rule into it
+	 *
+	 * @param index
+	 */
+	acceptSuggestion(index) {
+		const suggestion = this.suggestions[index];
+		if (!suggestion) return;
+		const parts = this.input.value.split(",");
+		if (suggestion.rule) {
+			const current = parts.pop();
+			parts.push(current.slice(0, current.length - suggestion.replaceLength) + suggestion.rule);
+			this.input.value = parts.join(",");
+			this.updateSuggestions();
+			return;
+		}
+		parts.pop();
+		parts.push(suggestion.tag);
+		this.input.value = parts.map(part => part.trim()).join(", ");
+		this.addTagsFromInput();
+	}
+
+	applyRulesButtonClicked() {
+		this.tags = TaggerHandler.applyRules(this.tags, TaggerHandler._createRuleContext({ document: this.tagDocument }));
+	}
+
+	removeButtonClicked(index) {
+		const newTags = this.tags;
+		newTags.splice(index, 1);
+		this.tags = newTags;
+	}
+
+	inputKeyDown(evt) {
+		const hasSuggestions = this.suggestionList.style.display !== "none" && this.suggestions.length;
+		switch (evt.key) {
+			case "ArrowDown":
+			case "ArrowUp":
+				if (!hasSuggestions) return;
+				evt.preventDefault();
+				this.highlightSuggestion(this.suggestionIndex + (evt.key === "ArrowDown" ? 1 : -1));
+				return;
+			case "Tab":
+				if (!hasSuggestions || this.suggestionIndex < 0) return;
+				evt.preventDefault();
+				this.acceptSuggestion(this.suggestionIndex);
+				return;
+			case "Escape":
+				if (!hasSuggestions) return;
+				evt.preventDefault();
+				evt.stopPropagation();
+				this.hideSuggestions();
+				return;
+			case "Enter":
+				evt.preventDefault();
+				evt.stopPropagation();
+				if (hasSuggestions && this.suggestionIndex > -1) {
+					this.acceptSuggestion(this.suggestionIndex);
+				} else {
+					this.addTagsFromInput();
+				}
+		}
+	}
+
+	editTagClicked(index) {
+		const tag = this.tags[index];
+		this.removeButtonClicked(index);
+		let currentInput = this.input.value.trim();
+		if (currentInput) {
+			currentInput += ", " + tag;
+		} else {
+			currentInput = tag;
+		}
+		this.input.value = currentInput;
+		this.input.focus();
+	}
+
+	populateTags() {
+		this.tagContainer.innerHTML = "";
+		for (const [index, tag] of this.tags.entries()) {
+			const tagString = tag.trim();
+			if (!tagString) continue;
+			this.createTagElement(tagString, index)
+		}
+		this.tagContainer.style.display = this.tagContainer.children.length ? "flex" : "none";
+		this.app.setPosition({ height: "auto" });
+	}
+
+	createTagElement(tag, index) {
+
+		const div = document.createElement("div");
+		div.setAttribute("class", "tag");
+		div.setAttribute("draggable", "true");
+		div.ondragstart = (evt) => {
+			evt.dataTransfer.setData("text/plain", JSON.stringify({ tag, index, uuid: this.key }));
+		}
+		div.ondragover = () => {
+			this.dropIndex = index;
+			div.classList.add('dropping');
+		}
+		div.ondragleave = (evt) => {
+			if (evt.target.className.includes("tag-drop-ignore")) return;
+			this.dropIndex = null;
+			div.classList.remove('dropping');
+		}
+
+		const span = document.createElement("span");
+		span.setAttribute("class", "tag-drop-ignore");
+		span.innerHTML = tag;
+
+		span.onclick = () => this.editTagClicked(index);
+		const closeButton = document.createElement("i");
+		closeButton.setAttribute("class", "fas fa-times tag-drop-ignore");
+		closeButton.onclick = () => this.removeButtonClicked(index);
+
+		div.appendChild(span);
+		div.appendChild(closeButton);
+		applyTagDefinition(div, tag);
+
+		this.tagContainer.appendChild(div);
+
+	}
+
+}
+
+class TagIndex {
+
+	static WORLD_KEY = "world";
+
+	static isBuilt = false;
+	static _scenes = new Map();
+	static _indexedDocuments = new Map();
+
+	/**
+	 * Indexes the tags of every object in every scene and every world level document, discarding any previous index
+	 */
+	static build() {
+		this._scenes.clear();
+		this._indexedDocuments.clear();
+		for (const document of Tagger._getWorldDocuments()) {
+			this.indexDocument(document, { embedded: true });
+		}
+		this.isBuilt = true;
+	}
+
+	static indexDocument(document, { embedded = false } = {}) {
+		if (embedded) {
+			Tagger._getEmbeddedDocuments(document).forEach(embeddedDocument => this.indexDocument(embeddedDocument));
+		}
+		this.removeDocument(document);
+		const tags = Tagger.getTags(document);
+		if (!tags.length) return;
+		const sceneId = document.parent?.documentName === "Scene" ? document.parent.id : this.WORLD_KEY;
+		if (!this._scenes.has(sceneId)) this._scenes.set(sceneId, new Map());
+		const sceneIndex = this._scenes.get(sceneId);
+		for (const tag of tags) {
+			if (!sceneIndex.has(tag)) sceneIndex.set(tag, new Set());
+			sceneIndex.get(tag).add(document);
+		}
+		this._indexedDocuments.set(document, { sceneId, tags });
+	}
+
+	/**
+	 * Gets the tags a document had when it was last indexed
+	 *
+	 * @param document
+	 * @returns {Array<String>}
+	 */
+	static getIndexedTags(document) {
+		return this._indexedDocuments.get(document)?.tags ?? [];
+	}
+
+	/**
+	 * Gets every tag in the given scenes, or in every scene and the world when no scenes are given, along with the
+	 * documents that carry them
+	 *
+	 * @param sceneIds
+	 * @returns {Map<String, Set<Document>>}
+	 */
+	static getTagUsage(sceneIds = null) {
+		if (!this.isBuilt) this.build();
+		const usage = new Map();
+		const sceneIndexes = sceneIds
+			? sceneIds.map(sceneId => this._scenes.get(sceneId)).filter(Boolean)
+			: Array.from(this._scenes.values());
+		for (const sceneIndex of sceneIndexes) {
+			for (const [tag, documents] of sceneIndex) {
+				if (!usage.has(tag)) usage.set(tag, new Set());
+				documents.forEach(document => usage.get(tag).add(document));
+			}
+		}
+		return usage;
+	}
+
+	static removeDocument(document, { embedded = false } = {}) {
+		if (embedded) {
+			Tagger._getEmbeddedDocuments(document).forEach(embeddedDocument => this.removeDocument(embeddedDocument));
+		}
+		const indexed = this._indexedDocuments.get(document);
+		if (!indexed) return;
+		const sceneIndex = this._scenes.get(indexed.sceneId);
+		for (const tag of indexed.tags) {
+			const documents = sceneIndex?.get(tag);
+			if (!documents) continue;
+			documents.delete(document);
+			if (!documents.size) sceneIndex.delete(tag);
+		}
+		this._indexedDocuments.delete(document);
+	}
+
+	/**
+	 * Gets the documents in a scene that carry at least one (matchAny) or all of the given tags. Plain tags are looked
+	 * up directly, while wildcards and regular expressions are only tested against the distinct tags in the scene.
+	 *
+	 * @param sceneId
+	 * @param inQueryTags
+	 * @param inTestTags
+	 * @param options
+	 * @returns {Array<Document>}
+	 */
+	static getCandidates(sceneId, inQueryTags, inTestTags, options) {
+		const sceneIndex = this._scenes.get(sceneId);
+		if (!sceneIndex) return [];
+
+		const documentSets = inTestTags.map((testTag, index) => {
+			return this._getTaggedDocuments(sceneIndex, inQueryTags[index], testTag, options);
+		});
+
+		if (options.matchAny) {
+			return Array.from(new Set(documentSets.flatMap(documents => Array.from(documents))));
+		}
+
+		return Array.from(this._intersect(documentSets));
+	}
+
+	/**
+	 * Gets the documents in a scene that could match a query tree. Returns null when the query cannot be narrowed down
+	 * through the index, such as when it only contains NOT terms.
+	 *
+	 * @param sceneId
+	 * @param inQuery
+	 * @param options
+	 * @returns {Array<Document>|null}
+	 */
+	static getQueryCandidates(sceneId, inQuery, options) {
+		const documents = this._getQueryDocuments(this._scenes.get(sceneId) ?? new Map(), inQuery, options);
+		return documents ? Array.from(documents) : null;
+	}
+
+	static _getQueryDocuments(sceneIndex, inQuery, options) {
+		switch (inQuery.type) {
+			case "tag":
+				return this._getTaggedDocuments(sceneIndex, inQuery.tag, inQuery.regex, options);
+			case "not":
+				return null;
+			case "and": {
+				const documentSets = inQuery.children
+					.map(child => this._getQueryDocuments(sceneIndex, child, options))
+					.filter(Boolean);
+				return documentSets.length ? this._intersect(documentSets) : null;
+			}
+			case "or": {
+				const documentSets = inQuery.children.map(child => this._getQueryDocuments(sceneIndex, child, options));
+				if (documentSets.some(documents => !documents)) return null;
+				return new Set(documentSets.flatMap(documents => Array.from(documents)));
+			}
+		}
+	}
+
+	static _getTaggedDocuments(sceneIndex, inQueryTag, inTestTag, options) {
+		if (inTestTag instanceof RegExp && typeof inQueryTag === "string" && !options.caseInsensitive && !isGlob(inQueryTag)) {
+			return sceneIndex.get(inQueryTag) ?? new Set();
+		}
+		const documents = new Set();
+		for (const [tag, taggedDocuments] of sceneIndex) {
+			if (!inTestTag.test(options.caseInsensitive ? tag.toLowerCase() : tag)) continue;
+			taggedDocuments.forEach(document => documents.add(document));
+		}
+		return documents;
+	}
+
+	static _intersect(documentSets) {
+		const [smallestSet, ...otherSets] = documentSets.sort((a, b) => a.size - b.size);
+		return new Set(Array.from(smallestSet).filter(document => otherSets.every(documents => documents.has(document))));
+	}
+}
+
+class GMTagStore {
+
+	static PACK_NAME = "tagger-gm-tags";
+	static LABEL = "Tagger: GM-only Tags";
+	static ENTRIES = "entries";
+	static PENDING = "pendingGMTags";
+
+	static _tags = new Map();
+	static _pending = new Map();
+	static _journal = null;
 
-	static _handleTokenConfig(app, html) {
-		const jqueryHtml = $(html);
-		const part = this.IS_V13 ? "identity" : "character";
-		const elem = jqueryHtml.find(`div[data-tab="${part}"]`);
-		this._applyHtml(app, elem);
+	/**
+	 * Loads the GM-only tags on a GM's client. GM-only tags are not stored on the documents, but in a journal entry in a
+	 * world compendium that only GMs and assistant GMs can see, keyed by the uuid of each document. The server never
+	 * sends the contents of that compendium to players.
+	 */
+	static async initialize() {
+		if (!game.user.isGM) return;
+		const journal = await this._getJournal();
+		if (!journal) return;
+		this._tags = new Map(Object.entries(journal.getFlag(CONSTANTS.MODULE_NAME, this.ENTRIES) ?? {})
+			.map(([key, tags]) => [this._getUuid(key), tags]));
 	}
 
-	static _handleTileConfig(app, html) {
-		const jqueryHtml = $(html);
-		const part = this.IS_V13 ? "appearance" : "basic";
-		const elem = jqueryHtml.find(`div[data-tab="${part}"]`);
-		this._applyHtml(app, elem);
+	static isStore(document) {
+		return document.pack === `world.${this.PACK_NAME}`;
 	}
 
-	static _handleDrawingConfig(app, html) {
-		const jqueryHtml = $(html);
-		const elem = jqueryHtml.find(`div[data-tab="position"]`);
-		this._applyHtml(app, elem);
+	/**
+	 * Gets the uuid that the GM-only tags of a document are kept under, which for the prototype token of an actor is the
+	 * uuid of the actor followed by ".prototypeToken"
+	 *
+	 * @param document
+	 * @returns {String}
+	 */
+	static getUuid(document) {
+		return document instanceof foundry.data.PrototypeToken ? `${document.parent.uuid}.prototypeToken` : document.uuid;
 	}
 
-	static _handleAmbientLightConfig(app, html) {
-		const jqueryHtml = $(html);
-		let button = jqueryHtml.find(`button[name="submit"]`);
-		let elem = (button.length ? button : jqueryHtml.find(`button[type="submit"]`)).parent();
-		this._applyHtml(app, elem, true);
+	static getTags(document) {
+		return document ? this._tags.get(this.getUuid(document)) ?? [] : [];
 	}
 
-	static _handleRegionConfig(app, html) {
-		const jqueryHtml = $(html);
-		const elem = jqueryHtml.find(`section[data-tab="identity"]`);
-		this._applyHtml(app, elem);
+	/**
+	 * Sets the GM-only tags of a set of documents, where empty tags remove them. The new tags can be read right away,
+	 * and are saved to the compendium in a single update.
+	 *
+	 * @param entries     An array of objects with a document and its new tags
+	 * @returns {Promise<void>}
+	 */
+	static setTags(entries) {
+		const { documents, changes } = this._cacheTags(entries);
+		TagWatcher.testDocuments(documents);
+		return this._saveChanges(changes);
 	}
 
-	static _handleGenericConfig(app, html) {
-		const jqueryHtml = $(html);
-		let button = jqueryHtml.find(`button[name="submit"]`);
-		let elem = (button.length ? button : jqueryHtml.find(`button[type="submit"]`));
-		if(this.IS_V13){
-			elem = elem.parent();
+	/**
+	 * Removes the GM-only tags of deleted documents, and of the prototype tokens of deleted actors. Only the active GM
+	 * removes them, so that they are removed once.
+	 *
+	 * @param documents
+	 * @returns {Promise<void>}
+	 */
+	static removeDocuments(documents) {
+		if (game.user !== game.users.activeGM) return;
+		const entries = documents
+			.flatMap(document => document instanceof Actor ? [document, document.prototypeToken] : [document])
+			.map(document => ({ document, tags: [] }));
+		return this._saveChanges(this._cacheTags(entries).changes);
+	}
+
+	/**
+	 * Adds the GM-only tags of the document that a new document is created from to its data, when a GM creates it and it
+	 * has none of its own. Tokens get the GM-only tags of their actor's prototype token, and duplicated or imported
+	 * documents get the GM-only tags of their source.
+	 *
+	 * @param documentData
+	 */
+	static addSourceTags(documentData) {
+		if (!game.user.isGM || foundry.utils.hasProperty(documentData, CONSTANTS.GM_TAG_PROPERTY)) return;
+		const actor = documentData.actorId ? game.actors.get(documentData.actorId) : null;
+		const sourceUuid = actor
+			? this.getUuid(actor.prototypeToken)
+			: documentData._stats?.duplicateSource ?? documentData._stats?.compendiumSource;
+		const tags = this._tags.get(sourceUuid);
+		if (tags) foundry.utils.setProperty(documentData, CONSTANTS.GM_TAG_PROPERTY, tags);
+	}
+
+	/**
+	 * Copies the GM-only tags of pasted objects to the data of the objects that are created from them
+	 *
+	 * @param copied
+	 * @param toCreate
+	 */
+	static copyTags(copied, toCreate) {
+		copied.forEach((object, index) => {
+			const tags = this.getTags(object.document ?? object);
+			if (tags.length && toCreate[index]) foundry.utils.setProperty(toCreate[index], CONSTANTS.GM_TAG_PROPERTY, tags);
+		});
+	}
+
+	/**
+	 * Takes the GM-only tags out of the data of a document that is being created, so that they are never sent to
+	 * players. A GM's client keeps them under an id in the document's flags until the document has been created and
+	 * has a uuid, see claimCreated.
+	 *
+	 * @param documentData
+	 * @returns {Boolean}     Whether the data had GM-only tags
+	 */
+	static takeCreateTags(documentData) {
+		const flags = foundry.utils.getProperty(documentData, CONSTANTS.BASE_PROPERTY);
+		if (!flags || !(CONSTANTS.GM_TAGS in flags)) return false;
+		const tags = flags[CONSTANTS.GM_TAGS]?.length ? Tagger._validateTags(flags[CONSTANTS.GM_TAGS], "_applyTags") : [];
+		delete flags[CONSTANTS.GM_TAGS];
+		if (game.user.isGM && tags.length) {
+			const id = foundry.utils.randomID();
+			this._pending.set(id, tags);
+			flags[this.PENDING] = id;
 		}
-		this._applyHtml(app, elem, true);
+		return true;
 	}
 
-	static _applyHtml(app, elem, insertBefore = false) {
-		if (!elem) return;
-		const object = app?.object?._object ?? app?.object ?? app.document;
-		const tagDocument = object?.document ?? object;
-        tagManagers[tagDocument.uuid] = new TagManager(tagDocument, app, elem, insertBefore);
+	/**
+	 * Stores the GM-only tags that were taken out of the data of documents that this client created, and removes the
+	 * ids they were kept under from the documents' flags
+	 *
+	 * @param documents
+	 * @param userId
+	 */
+	static claimCreated(documents, userId) {
+		if (userId !== game.user.id) return;
+		const created = documents.filter(document => this._pending.has(document.getFlag(CONSTANTS.MODULE_NAME, this.PENDING)));
+		if (!created.length) return;
+		this.setTags(created.map(document => {
+			const id = document.getFlag(CONSTANTS.MODULE_NAME, this.PENDING);
+			const tags = this._pending.get(id);
+			this._pending.delete(id);
+			return { document, tags };
+		}));
+		const groups = new Map();
+		for (const document of created) {
+			const key = [document.pack, document.parent?.uuid, document.documentName].join(".");
+			if (!groups.has(key)) groups.set(key, { document, updates: [] });
+			groups.get(key).updates.push({ _id: document.id, [`${CONSTANTS.BASE_PROPERTY}.-=${this.PENDING}`]: null });
+		}
+		for (const { document, updates } of groups.values()) {
+			CONFIG[document.documentName].documentClass.updateDocuments(updates, { parent: document.parent, pack: document.pack });
+		}
 	}
-}
 
-const tagManagers = {};
+	/**
+	 * Applies the changes that other GMs make to the compendium to this client's GM-only tags
+	 *
+	 * @param journal
+	 * @param changes
+	 * @param options
+	 * @param userId
+	 */
+	static onUpdateStore(journal, changes, options, userId) {
+		if (!this.isStore(journal) || userId === game.user.id) return;
+		const entries = foundry.utils.getProperty(changes, `${CONSTANTS.BASE_PROPERTY}.${this.ENTRIES}`) ?? {};
+		for (const [key, tags] of Object.entries(entries)) {
+			if (key.startsWith("-=")) {
+				this._tags.delete(this._getUuid(key.slice(2)));
+			} else {
+				this._tags.set(this._getUuid(key), tags);
+			}
+		}
+	}
 
-class TagManager {
+	/**
+	 * Updates the cached tags of a set of documents, leaving out any document whose tags would not change
+	 *
+	 * @param entries
+	 * @returns {{documents: Array<Document>, changes: Object}}   The documents that changed, and the update for the compendium
+	 * @private
+	 */
+	static _cacheTags(entries) {
+		const documents = [];
+		const changes = {};
+		for (const { document, tags } of entries) {
+			const uuid = this.getUuid(document);
+			const currentTags = this._tags.get(uuid) ?? [];
+			if (tags.length === currentTags.length && tags.every((tag, index) => tag === currentTags[index])) continue;
+			if (tags.length) {
+				this._tags.set(uuid, tags);
+				changes[`${CONSTANTS.BASE_PROPERTY}.${this.ENTRIES}.${this._getKey(uuid)}`] = tags;
+			} else {
+				this._tags.delete(uuid);
+				changes[`${CONSTANTS.BASE_PROPERTY}.${this.ENTRIES}.-=${this._getKey(uuid)}`] = null;
+			}
+			documents.push(document);
+		}
+		return { documents, changes };
+	}
 
-	constructor(tagDocument, app, elem, insertBefore) {
-		this._tags = [];
-		this.tagDocument = tagDocument;
-		this.app = app;
-		this.elem = elem;
-		this.insertBefore = insertBefore;
-		this.createElements()
-		this.tags = Tagger.getTags(this.tagDocument).filter(Boolean);
-		this.closing = false;
-		this.dropIndex = null;
+	static async _saveChanges(changes) {
+		if (!Object.keys(changes).length) return;
+		const journal = await this._getJournal(true);
+		await journal.update(changes);
 	}
 
-	get tags() {
-		return this._tags;
+	/**
+	 * Gets the journal entry the GM-only tags are kept in, creating the compendium and the journal entry when create is
+	 * set. Calls are chained, so that they are only created once.
+	 *
+	 * @param create
+	 * @returns {Promise<JournalEntry|null>}
+	 * @private
+	 */
+	static _getJournal(create = false) {
+		this._journal = (this._journal ?? Promise.resolve(null)).then(journal => journal ?? this._loadJournal(create));
+		return this._journal;
 	}
 
-	set tags(tags) {
-		this._tags = Array.from(new Set(tags.map(tag => tag.trim()).filter(Boolean)));
-		this.hiddenInput.value = this._tags.join(",");
-		if (this.closing) return;
-		this.populateTags();
+	static async _loadJournal(create) {
+		let pack = game.packs.get(`world.${this.PACK_NAME}`);
+		if (!pack) {
+			if (!create) return null;
+			pack = await foundry.documents.collections.CompendiumCollection.createCompendium({
+				type: "JournalEntry",
+				name: this.PACK_NAME,
+				label: this.LABEL
+			});
+			await pack.configure({ ownership: { PLAYER: "NONE", TRUSTED: "NONE", ASSISTANT: "OWNER" } });
+		}
+		const [journal] = await pack.getDocuments();
+		if (journal || !create) return journal ?? null;
+		return CONFIG.JournalEntry.documentClass.create({ name: this.LABEL }, { pack: pack.collection });
 	}
 
-	createElements() {
+	/**
+	 * Flag keys can't contain dots, so the dots in uuids are swapped for a character that uuids never contain
+	 *
+	 * @param uuid
+	 * @returns {String}
+	 * @private
+	 */
+	static _getKey(uuid) {
+		return uuid.replaceAll(".", "|");
+	}
 
-		const fieldset = document.createElement("fieldset");
-		fieldset.setAttribute("class", "tagger");
+	static _getUuid(key) {
+		return key.replaceAll("|", ".");
+	}
+}
 
-		fieldset.ondrop = (evt) => {
-			let dropData = false;
+class TagWatcher {
 
-			try {
-				dropData = JSON.parse(evt.dataTransfer.getData("text/plain"));
-			} catch (err) {
-				return;
-			}
+	static watchers = new Set();
 
-			if (!dropData.uuid || !dropData.tag) return;
+	static UNSUPPORTED_OPTIONS = ["objects", "ignore", "collections", "region", "shape", "rectangle", "origin", "distance", "lineOfSight", "sortByDistance", "returnObjects", "returnMatches", "sortBy", "limit"];
 
-			if (dropData.uuid === this.tagDocument.uuid) {
-				const toTags = this.tags;
-				toTags.splice(toTags.indexOf(dropData.tag), 1)
-				toTags.splice(this.dropIndex ?? toTags.length, 0, dropData.tag)
-				this.tags = toTags;
-				return;
-			}
+	/**
+	 * Tests documents that were created, updated or deleted against every active watcher
+	 *
+	 * @param documents
+	 * @param deleted
+	 */
+	static testDocuments(documents, { deleted = false } = {}) {
+		if (!this.watchers.size) return;
+		for (const watcher of this.watchers) {
+			documents.forEach(document => watcher._testDocument(document, deleted));
+		}
+	}
 
-			const toTags = this.tags;
-			if (toTags.includes(dropData.tag)) return;
-			toTags.splice(this.dropIndex ?? toTags.length, 0, dropData.tag)
-			this.tags = toTags;
+	constructor(inTags, inCallback, inOptions) {
+		const unsupportedOption = TagWatcher.UNSUPPORTED_OPTIONS.find(option => ![undefined, false].includes(inOptions[option]));
+		if (unsupportedOption) throw new Error(`Tagger | watch | options.${unsupportedOption} cannot be used with watchers`);
 
-			const fromTags = tagManagers[dropData.uuid].tags;
-			fromTags.splice(dropData.index, 1);
-			tagManagers[dropData.uuid].tags = fromTags;
+		const results = Tagger._getObjectsByTags(inTags, { ...inOptions }, "watch");
+
+		this.options = foundry.utils.mergeObject({
+			matchAny: false,
+			matchExactly: false,
+			caseInsensitive: false,
+			allScenes: false,
+			sceneId: game.canvas.id,
+			documentTypes: false,
+			includeHidden: false
+		}, inOptions);
+		this.testTags = Tagger._compileTags(inTags, this.options, "watch").providedTags;
+		this.callback = inCallback;
+		this.active = true;
+		this._results = new Set(Array.isArray(results) ? results : Object.values(results).flat());
+		this._added = new Set();
+		this._removed = new Set();
+		this._scheduled = false;
+		TagWatcher.watchers.add(this);
+	}
+
+	/**
+	 * The documents that currently match
+	 *
+	 * @returns {Array<Document>}
+	 */
+	get results() {
+		return Array.from(this._results);
+	}
+
+	/**
+	 * Stops watching, after which the callback is no longer called
+	 */
+	stop() {
+		this.active = false;
+		TagWatcher.watchers.delete(this);
+	}
+
+	/**
+	 * Whether a document is in the scenes and document types this watcher searches, like getByTag
+	 *
+	 * @param document
+	 * @returns {Boolean}
+	 * @private
+	 */
+	_isInScope(document) {
+		const { documentTypes, allScenes, sceneId } = this.options;
+		if (document.pack) return false;
+		if (documentTypes && !documentTypes.includes(document.documentName)) return false;
+		if (document.parent?.documentName === "Scene") return allScenes || document.parent.id === sceneId;
+		return !!documentTypes && worldDocumentTypes.includes(document.documentName);
+	}
+
+	_testDocument(document, deleted) {
+		const matches = !deleted && this._isInScope(document) && !!Tagger._testObject(document, this.testTags, this.options);
+		if (matches === this._results.has(document)) return;
+		if (matches) {
+			this._results.add(document);
+			if (!this._removed.delete(document)) this._added.add(document);
+		} else {
+			this._results.delete(document);
+			if (!this._added.delete(document)) this._removed.add(document);
 		}
+		if (this._scheduled) return;
+		this._scheduled = true;
+		queueMicrotask(() => this._callCallback());
+	}
 
-		const legend = document.createElement("legend");
-		legend.innerHTML = "Tagger (press enter to complete)";
-		fieldset.appendChild(legend);
+	_callCallback() {
+		this._scheduled = false;
+		const added = Array.from(this._added);
+		const removed = Array.from(this._removed);
+		this._added.clear();
+		this._removed.clear();
+		if (!this.active || (!added.length && !removed.length)) return;
+		this.callback({ added, removed, results: this.results }, this);
+	}
 
-		const inputContainer = document.createElement("div");
-		inputContainer.setAttribute("class", "form-group");
+}
 
-		this.input = document.createElement("input");
-		this.input.setAttribute("type", "text");
-		this.input.onkeydown = (evt) => this.inputKeyDown(evt);
+class TagHistory {
 
-		inputContainer.appendChild(this.input);
+	static undoStack = [];
+	static redoStack = [];
 
-		this.hiddenInput = document.createElement("input");
-		this.hiddenInput.setAttribute("type", "hidden");
-		this.hiddenInput.setAttribute("name", CONSTANTS.TAG_PROPERTY);
+	/**
+	 * Records a change set that can be undone, dropping the oldest change sets beyond the history size setting
+	 *
+	 * @param operation
+	 * @param changes     An array of objects with the uuid of a document, and its tags before and after the change
+	 */
+	static record(operation, changes) {
+		const size = game.settings.get(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.HISTORY_SIZE);
+		changes = changes.filter(({ before, after }) => {
+			return before.length !== after.length || before.some((tag, index) => tag !== after[index]);
+		});
+		if (!size || !changes.length) return;
+		this.undoStack.push({ operation, timestamp: Date.now(), changes });
+		this.undoStack.splice(0, Math.max(0, this.undoStack.length - size));
+		this.redoStack = [];
+	}
 
-		inputContainer.appendChild(this.hiddenInput);
+	static async undo() {
+		const entry = this.undoStack.pop();
+		if (!entry) return null;
+		await this._apply(entry, "before", "undo");
+		this.redoStack.push(entry);
+		return entry;
+	}
 
-		const addTagButton = document.createElement("button");
-		addTagButton.setAttribute("type", "button");
-		addTagButton.setAttribute("style", "min-width: 65px;");
-		addTagButton.innerHTML = "Add tags";
-		addTagButton.onclick = () => this.addTagsFromInput();
-		inputContainer.appendChild(addTagButton);
+	static async redo() {
+		const entry = this.redoStack.pop();
+		if (!entry) return null;
+		await this._apply(entry, "after", "redo");
+		this.undoStack.push(entry);
+		return entry;
+	}
 
-		const applyRulesButton = document.createElement("button");
-		applyRulesButton.setAttribute("type", "button");
-		applyRulesButton.setAttribute("data-tooltip", "Apply tag rules");
-		applyRulesButton.onclick = () => this.applyRulesButtonClicked();
+	/**
+	 * Gets every change set, newest first, where change sets that have been undone (and can be redone) are flagged
+	 *
+	 * @returns {Array<Object>}
+	 */
+	static getHistory() {
+		return [
+			...this.redoStack.map(entry => ({ ...entry, undone: true })),
+			...this.undoStack.toReversed().map(entry => ({ ...entry, undone: false }))
+		];
+	}
 
-		inputContainer.appendChild(applyRulesButton);
+	static async _apply(entry, key, operation) {
+		const pendingUpdates = entry.changes
+			.map(change => ({ document: fromUuidSync(change.uuid), tags: change[key], hidden: !!change.hidden }))
+			.filter(({ document }) => document);
+		return Tagger._writeTags(pendingUpdates, operation);
+	}
 
-		const applyRulesIcon = document.createElement("i");
-		applyRulesIcon.setAttribute("class", "fas fa-check");
-		applyRulesButton.appendChild(applyRulesIcon);
+}
 
-		this.tagContainer = document.createElement("div");
-		this.tagContainer.setAttribute("class", "tag-container");
+class TagRelay {
 
-		fieldset.appendChild(inputContainer);
-		fieldset.appendChild(this.tagContainer);
+	static SOCKET = `module.${CONSTANTS.MODULE_NAME}`;
+	static TIMEOUT = 30000;
+	static pending = new Map();
 
-		if (this.insertBefore) {
-			$(fieldset).insertBefore(this.elem);
-		} else {
-			this.elem.append(fieldset);
+	/**
+	 * The options for Tagger._getTagUpdates of each operation players can request, built on the GM's side from the tags
+	 * in the request so that players can't pass any other options. A "value" request sends the key and the value as
+	 * its tags.
+	 */
+	static OPERATIONS = {
+		add: inTags => ({ inTags }),
+		remove: inTags => ({ inTags, isAdding: false }),
+		toggle: inTags => ({ inTags, isToggling: true }),
+		set: inTags => ({ inTags, isSetting: true }),
+		value: ([key, value = ""]) => ({ inTags: [], keyValue: { key, value } }),
+		clear: () => ({}),
+		rule: () => ({ applyRules: true })
+	};
+
+	static initialize() {
+		game.socket.on(this.SOCKET, (message) => this._onMessage(message));
+	}
+
+	static isEnabled() {
+		return game.settings.get(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RELAY_ENABLED);
+	}
+
+	static getAllowedOperations() {
+		return game.settings.get(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RELAY_OPERATIONS)
+			.split(",").map(operation => operation.trim()).filter(Boolean);
+	}
+
+	static getAllowedTagPatterns() {
+		return game.settings.get(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RELAY_TAG_PATTERNS)
+			.split(",").map(pattern => pattern.trim()).filter(Boolean).map(globToRegex);
+	}
+
+	/**
+	 * Whether a change to the given documents has to be made by a GM, because the current user cannot update them
+	 *
+	 * @param documents
+	 * @returns {Boolean}
+	 */
+	static shouldRelay(documents) {
+		return !game.user.isGM && this.isEnabled() && documents.some(document => !document.canUserModify(game.user, "update"));
+	}
+
+	/**
+	 * Asks the active GM to change tags on behalf of the current user
+	 *
+	 * @param documents
+	 * @param operation
+	 * @param options     The options passed to Tagger._getTagUpdates, of which only the tags are sent
+	 * @returns {Promise<Array<Document>>}     A promise that resolves to the documents the GM updated
+	 */
+	static request(documents, operation, options) {
+		if (!game.users.activeGM) return Promise.reject(new Error(`Tagger | relay | there is no GM connected to change the tags`));
+		const id = foundry.utils.randomID();
+		const inTags = options.keyValue ? [options.keyValue.key, options.keyValue.value] : options.inTags;
+		return new Promise((resolve, reject) => {
+			const timeout = setTimeout(() => {
+				this.pending.delete(id);
+				reject(new Error(`Tagger | relay | the GM did not respond in time`));
+			}, this.TIMEOUT);
+			this.pending.set(id, { resolve, reject, timeout });
+			game.socket.emit(this.SOCKET, {
+				type: "request",
+				id,
+				userId: game.user.id,
+				operation,
+				uuids: documents.map(document => document.uuid),
+				options: inTags ? { inTags: inTags.filter(tag => typeof tag === "string") } : {}
+			});
+		});
+	}
+
+	static async _onMessage(message) {
+		if (message.type === "request" && game.user.isActiveGM) {
+			const response = { type: "response", id: message.id, userId: message.userId };
+			try {
+				response.uuids = await this._handleRequest(message);
+			} catch (err) {
+				response.error = err.message;
+			}
+			game.socket.emit(this.SOCKET, response);
+		} else if (message.type === "response" && message.userId === game.user.id) {
+			const request = this.pending.get(message.id);
+			if (!request) return;
+			this.pending.delete(message.id);
+			clearTimeout(request.timeout);
+			if (message.error) {
+				request.reject(new Error(message.error));
+			} else {
+				request.resolve(message.uuids.map(uuid => fromUuidSync(uuid)).filter(Boolean));
+			}
+		}
+	}
+
+	/**
+	 * Checks a player's request against the relay settings and the tagger.preRelayTags hook, and makes the change
+	 *
+	 * @param userId
+	 * @param operation
+	 * @param uuids
+	 * @param options
+	 * @returns {Promise<Array<String>>}     A promise that resolves to the UUIDs of the updated documents
+	 * @private
+	 */
+	static async _handleRequest({ userId, operation, uuids, options }) {
+		const user = game.users.get(userId);
+		if (!user) throw new Error(`Tagger | relay | could not find user with id ${userId}`);
+		if (!this.isEnabled()) throw new Error(`Tagger | relay | players are not allowed to change tags through a GM`);
+		if (!this.getAllowedOperations().includes(operation) || !Object.hasOwn(this.OPERATIONS, operation)) {
+			throw new Error(`Tagger | relay | players are not allowed to use the "${operation}" operation through a GM`);
+		}
+		const optionKeys = Object.keys(options ?? {});
+		if (optionKeys.some(key => key !== "inTags")) {
+			throw new Error(`Tagger | relay | requests can only contain tags, not "${optionKeys.find(key => key !== "inTags")}"`);
+		}
+		const inTags = options?.inTags ?? [];
+		if (!Array.isArray(inTags) || inTags.some(tag => typeof tag !== "string")) {
+			throw new Error(`Tagger | relay | the tags of a request must be an array of strings`);
 		}
 
-		this.elem.closest("form").find(`button:last[type="submit"]`).on("click", () => {
-			this.closing = true;
-			this.addTagsFromInput();
+		const documents = uuids.map(uuid => {
+			const document = fromUuidSync(uuid);
+			if (!(document instanceof foundry.abstract.Document)) throw new Error(`Tagger | relay | could not find document ${uuid}`);
+			return document;
 		});
-	}
+		const updateOptions = this.OPERATIONS[operation](operation === "value" ? inTags : Tagger._validateTags(inTags, "relay"));
+		if (updateOptions.keyValue) {
+			const { key, value } = updateOptions.keyValue;
+			if (!key?.trim() || /[,:]/.test(key) || value.includes(",")) {
+				throw new Error(`Tagger | relay | invalid key "${key}" or value "${value}" for the "value" operation`);
+			}
+			updateOptions.keyValue = { key: key.trim(), value: value.trim() };
+		}
 
-	addTagsFromInput() {
-		const tag = Tagger._validateTags(this.input.value, "Add Tags");
-		this.tags = this.tags.concat(tag);
-		if (this.closing) return;
-		this.input.value = "";
-	}
+		const patterns = this.getAllowedTagPatterns();
+		const pendingUpdates = Tagger._getTagUpdates(documents, updateOptions, user);
+		for (const { document, tags } of pendingUpdates) {
+			const previousTags = Tagger.getTags(document);
+			const added = tags.filter(tag => !previousTags.includes(tag));
+			const removed = previousTags.filter(tag => !tags.includes(tag));
+			const deniedTag = [...added, ...removed].find(tag => !patterns.some(pattern => pattern.test(tag)));
+			if (deniedTag !== undefined) throw new Error(`Tagger | relay | players are not allowed to change the tag "${deniedTag}" through a GM`);
+			const data = { previousTags, tags, added, removed, operation, user };
+			if (Hooks.call("tagger.preRelayTags", document, data) === false) {
+				throw new Error(`Tagger | relay | ${user.name} is not allowed to change the tags on ${document.uuid}`);
+			}
+		}
 
-	applyRulesButtonClicked() {
-		this.tags = TaggerHandler.applyRules(this.tags);
+		const updatedDocuments = await Tagger._writeTags(pendingUpdates, operation, user.id);
+		return updatedDocuments.map(document => document.uuid);
 	}
+}
 
-	removeButtonClicked(index) {
-		const newTags = this.tags;
-		newTags.splice(index, 1);
-		this.tags = newTags;
-	}
+let temporaryIds = {};
 
-	inputKeyDown(evt) {
-		if (evt.key !== "Enter") return;
-		evt.preventDefault();
-		evt.stopPropagation();
-		this.addTagsFromInput();
-	}
+class TaggerHandler {
 
-	editTagClicked(index) {
-		const tag = this.tags[index];
-		this.removeButtonClicked(index);
-		let currentInput = this.input.value.trim();
-		if (currentInput) {
-			currentInput += ", " + tag;
-		} else {
-			currentInput = tag;
+	/**
+	 * Cleans up the tags in an update and calls the tagger.preUpdateTags hook. GM-only tags are taken out of the update
+	 * and written to the GMTagStore instead, so that they never reach players.
+	 *
+	 * @param inDocument
+	 * @param updateData
+	 * @param options
+	 */
+	static applyUpdateTags(inDocument, updateData, options = {}) {
+		if (!this._updatesTags(updateData)) return;
+		(options.tagger ??= {}).previousTags ??= {};
+		options.tagger.previousTags[inDocument.uuid] = Tagger.getTags(inDocument);
+		const propertyNames = [CONSTANTS.BASE_PROPERTY];
+		if (inDocument instanceof Actor) propertyNames.push("prototypeToken." + CONSTANTS.BASE_PROPERTY);
+		const gmTagUpdates = [];
+		for (const propertyName of propertyNames) {
+			for (const tagsKey of [CONSTANTS.TAGS, CONSTANTS.GM_TAGS]) {
+				const removeKey = `-=${tagsKey}`;
+				for (const key of [tagsKey, removeKey]) {
+					const flatKey = `${propertyName}.${key}`;
+					if (!(flatKey in updateData)) continue;
+					foundry.utils.setProperty(updateData, propertyName, {
+						...foundry.utils.getProperty(updateData, propertyName),
+						[key]: updateData[flatKey]
+					});
+					delete updateData[flatKey];
+				}
+				const flags = foundry.utils.getProperty(updateData, propertyName);
+				if (!flags || !(tagsKey in flags || removeKey in flags)) continue;
+				let tags = flags[tagsKey]?.length ? Tagger._validateTags(flags[tagsKey], "_applyTags") : [];
+				delete flags[tagsKey];
+				delete flags[removeKey];
+				if (tagsKey === CONSTANTS.GM_TAGS) {
+					const document = propertyName === CONSTANTS.BASE_PROPERTY ? inDocument : inDocument.prototypeToken;
+					if (game.user.isGM) gmTagUpdates.push({ document, tags });
+					continue;
+				}
+				if (propertyName === CONSTANTS.BASE_PROPERTY) {
+					tags = this._callPreUpdateTags(inDocument, tags, options);
+					if (!tags) continue;
+				}
+				if (tags.length) {
+					flags[tagsKey] = tags;
+				} else {
+					flags[removeKey] = null;
+				}
+			}
 		}
-		this.input.value = currentInput;
-		this.input.focus();
+		if (gmTagUpdates.length) GMTagStore.setTags(gmTagUpdates);
 	}
 
-	populateTags() {
-		this.tagContainer.innerHTML = "";
-		for (const [index, tag] of this.tags.entries()) {
-			const tagString = tag.trim();
-			if (!tagString) continue;
-			this.createTagElement(tagString, index)
-		}
-		this.tagContainer.style.display = this.tagContainer.children.length ? "flex" : "none";
-		this.app.setPosition({ height: "auto" });
+	/**
+	 * Whether an update changes any Tagger flags, whether its keys are flat or nested, including -= keys
+	 *
+	 * @param updateData
+	 * @returns {Boolean}
+	 */
+	static _updatesTags(updateData) {
+		const flagsKey = new RegExp(`(^|\\.)flags\\.(-=)?${CONSTANTS.MODULE_NAME}(\\.|$)`);
+		return Object.keys(foundry.utils.flattenObject(updateData)).some(key => flagsKey.test(key));
 	}
 
-	createTagElement(tag, index) {
+	/**
+	 * Calls the tagger.preUpdateTags hook, which can modify the new tags or prevent them from being changed
+	 *
+	 * @param inDocument
+	 * @param inTags
+	 * @param options
+	 * @returns {Array<String>|false}
+	 */
+	static _callPreUpdateTags(inDocument, inTags, options) {
+		const previousTags = Tagger.getTags(inDocument);
+		const data = {
+			previousTags,
+			tags: inTags,
+			added: inTags.filter(tag => !previousTags.includes(tag)),
+			removed: previousTags.filter(tag => !inTags.includes(tag)),
+			operation: options.tagger?.operation ?? (tagManagers[inDocument.uuid]?.closing ? "ui" : "update")
+		};
+		if (Hooks.call("tagger.preUpdateTags", inDocument, data) === false) return false;
+		options.tagger = { ...options.tagger, operation: data.operation };
+		return Tagger._validateTags(data.tags, "tagger.preUpdateTags");
+	}
 
-		const div = document.createElement("div");
-		div.setAttribute("class", "tag");
-		div.setAttribute("draggable", "true");
-		div.ondragstart = (evt) => {
-			evt.dataTransfer.setData("text/plain", JSON.stringify({ tag, index, uuid: this.tagDocument.uuid }));
-		}
-		div.ondragover = () => {
-			this.dropIndex = index;
-			div.classList.add('dropping');
-		}
-		div.ondragleave = (evt) => {
-			if (evt.target.className.includes("tag-drop-ignore")) return;
-			this.dropIndex = null;
-			div.classList.remove('dropping');
+	/**
+	 * Calls the tagger.tagsChanged hook when a document's tags have changed, including when it is created with tags or
+	 * deleted
+	 *
+	 * @param inDocument
+	 * @param previousTags
+	 * @param options
+	 * @param userId
+	 * @param tags                The tags after the change, which are empty for deleted documents
+	 * @param operation           The operation when the options don't name one
+	 */
+	static callTagsChanged(inDocument, previousTags, options, userId, { tags = Tagger.getTags(inDocument), operation: defaultOperation = "update" } = {}) {
+		if (tags.length === previousTags.length && tags.every((tag, index) => tag === previousTags[index])) return;
+		const operation = options?.tagger?.operation ?? defaultOperation;
+		if (operation === "ui" && userId === game.user.id && !options.tagger.recorded) {
+			TagHistory.record(operation, [{ uuid: inDocument.uuid, before: previousTags, after: tags }]);
 		}
+		Hooks.callAll("tagger.tagsChanged", inDocument, {
+			previousTags,
+			tags,
+			added: tags.filter(tag => !previousTags.includes(tag)),
+			removed: previousTags.filter(tag => !tags.includes(tag)),
+			operation,
+			userId
+		});
+	}
 
-		const span = document.createElement("span");
-		span.setAttribute("class", "tag-drop-ignore");
-		span.innerHTML = tag;
-
-		span.onclick = () => this.editTagClicked(index);
-		const closeButton = document.createElement("i");
-		closeButton.setAttribute("class", "fas fa-times tag-drop-ignore");
-		closeButton.onclick = () => this.removeButtonClicked(index);
-
-		div.appendChild(span);
-		div.appendChild(closeButton);
+	static _pendingSources = [];
 
-		this.tagContainer.appendChild(div);
+	/**
+	 * Wraps the canvas methods that paste objects or create them from data dropped from the sidebar, so that the
+	 * documents they create are given their source in the tagger.source creation option for the tag rule policy
+	 */
+	static wrapCreationSources() {
+		const layers = foundry.canvas.layers;
+		const wrappers = [
+			[layers.PlaceablesLayer, "pasteObjects", "paste"],
+			[layers.TokenLayer, "_onDropActorData", "drop"],
+			[layers.TilesLayer, "_onDropData", "drop"],
+			[layers.NotesLayer, "_onDropData", "drop"],
+			[layers.SoundsLayer, "_onDropData", "drop"]
+		];
+		for (const [layer, method, source] of wrappers) {
+			const wrapped = layer?.prototype[method];
+			if (typeof wrapped !== "function") continue;
+			layer.prototype[method] = function (...args) {
+				return TaggerHandler._withCreationSource(this.constructor.documentName, source, () => wrapped.apply(this, args));
+			};
+		}
+		const createDocuments = foundry.abstract.Document.createDocuments;
+		foundry.abstract.Document.createDocuments = function (data, operation = {}) {
+			const source = TaggerHandler._takeCreationSource(this.documentName);
+			if (source && operation.tagger?.source === undefined) {
+				operation = { ...operation, tagger: { ...operation.tagger, source } };
+			}
+			return createDocuments.call(this, data, operation);
+		};
+	}
 
+	/**
+	 * Runs a paste or drop, giving its source to the first creation of the document type it creates. Only that one
+	 * creation is given the source, so documents that are created by anything else in the meantime are not mislabelled.
+	 *
+	 * @param documentName
+	 * @param source
+	 * @param callback
+	 * @returns {Promise<*>}
+	 * @private
+	 */
+	static async _withCreationSource(documentName, source, callback) {
+		const pending = { documentName, source };
+		this._pendingSources.push(pending);
+		try {
+			return await callback();
+		} finally {
+			const index = this._pendingSources.indexOf(pending);
+			if (index > -1) this._pendingSources.splice(index, 1);
+		}
 	}
 
-}
+	static _takeCreationSource(documentName) {
+		const index = this._pendingSources.findLastIndex(pending => pending.documentName === documentName);
+		if (index === -1) return null;
+		return this._pendingSources.splice(index, 1)[0].source;
+	}
 
-let temporaryIds = {};
+	/**
+	 * Gets how a document is being created: a Token Attacher prefab, the source given in the tagger.source creation
+	 * option (such as "paste" or "drop"), imported from a compendium, or created by a macro or module
+	 *
+	 * @param documentData
+	 * @param options
+	 * @returns {String}
+	 */
+	static getCreationSource(documentData, options) {
+		if (this._getCreatedChildren(documentData).length) return "prefab";
+		if (options?.tagger?.source) return options.tagger.source;
+		if (documentData._stats?.compendiumSource) return "compendium";
+		return "create";
+	}
 
-class TaggerHandler {
+	/**
+	 * Decides whether tag rules are applied to a new document. The tagger.applyRules creation option wins over the
+	 * bypass key, which wins over the tag rule policy.
+	 *
+	 * @param source
+	 * @param options
+	 * @returns {Boolean}
+	 */
+	static shouldApplyCreateRules(source, options) {
+		const applyRules = options?.tagger?.applyRules;
+		if (typeof applyRules === "boolean") return applyRules;
+		if (hotkeyState.dropNoRules) return false;
+		return getRulePolicy()[source] ?? true;
+	}
 
-	static applyUpdateTags(inDocument, updateData) {
-		let propertyName = CONSTANTS.TAG_PROPERTY;
-		if (inDocument instanceof Actor) propertyName = "prototypeToken." + propertyName;
-		let tags = foundry.utils.getProperty(updateData, propertyName);
-		if (tags === undefined) return;
-		if (!tags?.length) {
-			propertyName = propertyName.replace(CONSTANTS.TAG_PROPERTY, CONSTANTS.REMOVE_TAG_PROPERTY);
-			tags = null;
-		} else {
-			tags = Tagger._validateTags(tags, "_applyTags");
+	static preCreateApplyTags(inDocument, documentData, options, userId) {
+		const source = this.getCreationSource(documentData, options);
+		const applyRules = this.shouldApplyCreateRules(source, options);
+		GMTagStore.addSourceTags(documentData);
+		if (applyRules) {
+			temporaryIds = {};
+			this.applyCreateTags(documentData, this._createRuleContext({
+				document: inDocument,
+				documentData,
+				user: game.users.get(userId) ?? game.user,
+				batch: this._getBatch(options)
+			}));
+			temporaryIds = {};
+		} else if (source === "prefab") {
+			this._recurseChildren(documentData, null, false);
 		}
-		foundry.utils.setProperty(updateData, propertyName, tags);
+		const hasGMTags = GMTagStore.takeCreateTags(documentData);
+		if (!applyRules && source !== "prefab" && !hasGMTags) return;
+		const flags = foundry.utils.getProperty(documentData, "flags");
+		if (!inDocument?.updateSource) return inDocument.data.update({ flags });
+		inDocument.updateSource({ flags });
+		if (hasGMTags) inDocument.updateSource({ [CONSTANTS.REMOVE_GM_TAG_PROPERTY]: null });
 	}
 
-	static preCreateApplyTags(inDocument, documentData) {
-		if (hotkeyState.dropNoRules) return;
+	/**
+	 * Takes the GM-only tags out of the data of a world level document that is being created, which tag rules are not
+	 * applied to
+	 *
+	 * @param inDocument
+	 * @param documentData
+	 */
+	static preCreateTakeGMTags(inDocument, documentData) {
+		GMTagStore.addSourceTags(documentData);
+		if (!GMTagStore.takeCreateTags(documentData)) return;
+		inDocument.updateSource({ flags: foundry.utils.getProperty(documentData, "flags") });
+		inDocument.updateSource({ [CONSTANTS.REMOVE_GM_TAG_PROPERTY]: null });
+	}
+
+	/**
+	 * Applies tag rules to the objects in a scene that is created with them, such as a duplicated scene or one imported
+	 * from a compendium, since the objects in it don't get their own preCreate hooks. Their GM-only tags are taken out
+	 * of the data whether or not rules are applied.
+	 *
+	 * @param inScene
+	 * @param documentData
+	 * @param options
+	 * @param userId
+	 */
+	static preCreateSceneApplyTags(inScene, documentData, options, userId) {
+		const source = documentData._stats?.duplicateSource && !options?.tagger?.source ? "duplicate" : this.getCreationSource(documentData, options);
+		const applyRules = this.shouldApplyCreateRules(source, options);
+		const user = game.users.get(userId) ?? game.user;
+		const batch = this._getBatch(options);
+		const collections = sceneCollections.filter(collection => documentData[collection]?.length);
+		let hasGMTags = false;
 		temporaryIds = {};
-		this.applyCreateTags(documentData);
+		for (const collection of collections) {
+			for (const objectData of documentData[collection]) {
+				if (applyRules) this.applyCreateTags(objectData, this._createRuleContext({ documentData: objectData, scene: inScene, user, batch }));
+				hasGMTags = GMTagStore.takeCreateTags(objectData) || hasGMTags;
+			}
+		}
 		temporaryIds = {};
-		const flags = foundry.utils.getProperty(documentData, "flags");
-		return inDocument?.updateSource
-			? inDocument.updateSource({ flags })
-			: inDocument.data.update({ flags });
+		if (collections.length && (applyRules || hasGMTags)) {
+			inScene.updateSource(Object.fromEntries(collections.map(collection => [collection, documentData[collection]])));
+		}
 	}
 
-	static applyCreateTags(documentData) {
+	static applyCreateTags(documentData, context) {
 
 		const preprocessed = foundry.utils.getProperty(documentData, `${CONSTANTS.DATA_PROPERTY}.preprocessed`);
 		if (preprocessed) {
@@ -670,144 +3726,340 @@ class TaggerHandler {
 			return;
 		}
 
-		let tags = foundry.utils.getProperty(documentData, CONSTANTS.TAG_PROPERTY);
-
-		if (tags) {
-			tags = this.applyRules(tags);
-			foundry.utils.setProperty(documentData, CONSTANTS.TAG_PROPERTY, tags);
-		}
-
-		if (game.modules.get("token-attacher")?.active) {
-			this.recurseTokenAttacher(documentData);
+		for (const property of [CONSTANTS.TAG_PROPERTY, CONSTANTS.GM_TAG_PROPERTY]) {
+			const tags = foundry.utils.getProperty(documentData, property);
+			if (tags) foundry.utils.setProperty(documentData, property, this.applyRules(tags, context));
 		}
 
-		if (game.modules.get("monks-active-tiles")?.active) {
-			const monkActions = documentData?.flags?.["monks-active-tiles"]?.actions ?? [];
-			const names = ["location.name", "entity.name"];
-			const ids = ["location.id", "entity.id"];
-			monkActions.forEach((action, i) => {
-				for (const nameProperty of names) {
-					let locationName = foundry.utils.getProperty(action?.data, nameProperty);
-					if (locationName && locationName.startsWith("[Tagger] ")) {
-						const tags = locationName.replace("[Tagger] ", "");
-						const newTags = this.applyRules(tags).join(", ");
-						foundry.utils.setProperty(documentData, `flags.monks-active-tiles.actions.${i}.data.` + nameProperty, `[Tagger] ${newTags}`);
-					}
-				}
+		this._recurseChildren(documentData, context);
+		this._applyReferences(documentData, context);
 
-				for (const idProperty of ids) {
-					let locationId = foundry.utils.getProperty(action?.data, idProperty);
-					if (locationId && locationId.startsWith("tagger:")) {
-						const tags = locationId.replace("tagger:", "");
-						const newTags = this.applyRules(tags).join(", ");
-						foundry.utils.setProperty(documentData, `flags.monks-active-tiles.actions.${i}.data.` + idProperty, `tagger:${newTags}`);
-					}
-				}
-			});
+	}
 
-			let monkEntity = documentData?.flags?.["monks-active-tiles"]?.entity;
-			if (monkEntity) {
-				let reparse = false;
-				if (typeof monkEntity === "string") {
-					monkEntity = JSON.parse(monkEntity);
-					foundry.utils.setProperty(documentData, `flags.monks-active-tiles.entity`, monkEntity);
-					reparse = true;
-				}
-				let entityId = foundry.utils.getProperty(monkEntity, "id");
-				if (entityId && entityId.startsWith("tagger:")) {
-					const tags = entityId.replace("tagger:", "");
-					const newTags = this.applyRules(tags).join(", ");
-					foundry.utils.setProperty(documentData, `flags.monks-active-tiles.entity.id`, `tagger:${newTags}`);
-				}
-				if (reparse) {
-					foundry.utils.setProperty(documentData, `flags.monks-active-tiles.entity`, JSON.stringify(monkEntity));
-				}
+	/**
+	 * Applies tag rules to the tag references that modules have registered in the data of a document
+	 *
+	 * @param documentData
+	 * @param context
+	 */
+	static _applyReferences(documentData, context) {
+		for (const registration of this._getActiveReferences()) {
+			for (const { path, prefix } of registration.references) {
+				this._replaceAtPath(documentData, path, (value) => {
+					if (typeof value !== "string" || !value.startsWith(prefix)) return value;
+					return prefix + this.applyRules(value.slice(prefix.length), context).join(", ");
+				});
 			}
-
 		}
+	}
 
+	/**
+	 * Replaces the values at a path, where * matches every entry of an array or object. Values that are stored as JSON
+	 * strings are parsed, and written back as JSON strings.
+	 *
+	 * @param data
+	 * @param path        The keys of the path
+	 * @param replace     Called with each value at the path, and returns its new value
+	 * @returns {*}
+	 * @private
+	 */
+	static _replaceAtPath(data, path, replace) {
+		if (!path.length) return replace(data);
+		if (typeof data === "string") {
+			let parsed;
+			try {
+				parsed = JSON.parse(data);
+			} catch (err) {
+				return data;
+			}
+			if (!parsed || typeof parsed !== "object") return data;
+			return JSON.stringify(this._replaceAtPath(parsed, path, replace));
+		}
+		if (!data || typeof data !== "object") return data;
+		const [key, ...rest] = path;
+		for (const entryKey of key === "*" ? Object.keys(data) : [key]) {
+			if (!(entryKey in data)) continue;
+			data[entryKey] = this._replaceAtPath(data[entryKey], rest, replace);
+		}
+		return data;
 	}
 
-	static recurseTokenAttacher(documentData) {
-		const prototypeAttached = foundry.utils.getProperty(documentData, "flags.token-attacher.prototypeAttached");
-		if (prototypeAttached) {
-			for (const objects of Object.values(prototypeAttached)) {
-				for (const object of objects) {
-					this.applyCreateTags(object)
-					foundry.utils.setProperty(object, `${CONSTANTS.DATA_PROPERTY}.preprocessed`, true);
-				}
+	/**
+	 * Applies tag rules to the child data that modules have registered, such as the objects attached to a Token Attacher
+	 * prefab. Children that are created as documents of their own later are marked, so that rules aren't applied twice.
+	 *
+	 * @param documentData
+	 * @param context
+	 * @param applyRules    Whether to apply rules, or only mark the children
+	 */
+	static _recurseChildren(documentData, context, applyRules = true) {
+		for (const registration of this._getActiveReferences()) {
+			const children = registration.children?.(documentData) ?? [];
+			if (!children.length) continue;
+			const prefab = context?.prefab ?? { id: foundry.utils.randomID() };
+			for (const child of children) {
+				if (applyRules) this.applyCreateTags(child, { ...context, documentData: child, prefab });
+				if (registration.createsChildren) foundry.utils.setProperty(child, `${CONSTANTS.DATA_PROPERTY}.preprocessed`, true);
 			}
 		}
 	}
 
-	static applyRules(tags) {
+	/**
+	 * Gets the child data of a document that will be created as documents of their own, such as the objects attached to
+	 * a Token Attacher prefab
+	 *
+	 * @param documentData
+	 * @returns {Array<Object>}
+	 */
+	static _getCreatedChildren(documentData) {
+		return this._getActiveReferences()
+			.filter(registration => registration.createsChildren)
+			.flatMap(registration => registration.children?.(documentData) ?? []);
+	}
+
+	static _getActiveReferences() {
+		return Array.from(this.references.values()).filter(registration => game.modules.get(registration.moduleId)?.active);
+	}
 
-		const tagRules = Object.entries(this.rules).filter(entry => {
-			entry[0] = new RegExp(`${entry[0]}`, "g");
-			return entry;
+	static registerReferences(inModuleId, { references = [], children = null, createsChildren = false } = {}) {
+		if (typeof inModuleId !== "string" || !inModuleId.trim()) throw new Error(`Tagger | registerReferences | inModuleId must be of type string`);
+		if (!Array.isArray(references) || references.some(reference => typeof reference?.path !== "string" || !reference.path.trim())) throw new Error(`Tagger | registerReferences | options.references must be an array of objects with a path`);
+		if (references.some(reference => reference.prefix !== undefined && typeof reference.prefix !== "string")) throw new Error(`Tagger | registerReferences | the prefix of a reference must be of type string`);
+		if (children !== null && typeof children !== "function") throw new Error(`Tagger | registerReferences | options.children must be of type function`);
+		if (typeof createsChildren !== "boolean") throw new Error(`Tagger | registerReferences | options.createsChildren must be of type boolean`);
+		this.references.set(inModuleId, {
+			moduleId: inModuleId,
+			references: references.map(({ path, prefix = "" }) => ({ path: path.split("."), prefix })),
+			children,
+			createsChildren
 		});
+	}
+
+	static unregisterReferences(inModuleId) {
+		return this.references.delete(inModuleId);
+	}
+
+	/**
+	 * Applies every registered tag rule to a set of tags
+	 *
+	 * @param tags
+	 * @param context     The context passed to every rule handler, see _createRuleContext
+	 * @returns {Array<String>}
+	 */
+	static applyRules(tags, context = this._createRuleContext()) {
+
+		const tagRules = Array.from(this.rules.values());
 
 		tags = Tagger._validateTags(tags, "TaggerHandler");
 
 		return tags.map((tag, index) => {
 
-			const applicableTagRules = tagRules.filter(([regx]) => {
-				return tag.match(regx)
-			});
-			if (!applicableTagRules.length) return tag;
-
-			applicableTagRules.forEach(([regx, method]) => {
-				tag = method(tag, regx, index);
-			})
+			for (const rule of tagRules) {
+				const regx = new RegExp(rule.regex.source, "g");
+				if (!tag.match(regx)) continue;
+				tag = rule.handler(tag, regx, index, context);
+				if (typeof tag !== "string") throw new Error(`Tagger | applyRules | tag rule "${rule.token}" must return a string`);
+			}
 
 			return tag;
 		});
 
 	}
 
-	static rules = {
+	/**
+	 * Creates the context that is passed to tag rule handlers
+	 *
+	 * @param document        The document whose tags are being processed, if it exists
+	 * @param documentData    The data of the document, which is the nested data for Token Attacher prefabs and other registered children
+	 * @param scene           The scene the document is in, or is being created in
+	 * @param user            The user that is creating or updating the document
+	 * @param batch           An object shared by every document that is processed in the same operation
+	 * @returns {Object}       The context, which also has a prefab property for objects attached through Token Attacher or other registered children
+	 */
+	static _createRuleContext({
+		document = null,
+		documentData = document?.toObject?.() ?? {},
+		scene = document?.parent?.documentName === "Scene" ? document.parent : null,
+		user = game.user,
+		batch = this._getBatch()
+	} = {}) {
+		return {
+			document,
+			documentData,
+			documentName: document?.documentName ?? null,
+			scene,
+			user,
+			batch,
+			prefab: null
+		};
+	}
 
-		/**
-		 * Replaces a portion of the tag with a number based on how many objects in this scene has the same numbered tag
-		 * @private
-		 */
-		"{#}": (tag, regx) => {
-			const findTag = new RegExp("^" + tag.replace(regx, "([1-9]+[0-9]*)") + "$");
-			const existingDocuments = Tagger.getByTag(findTag)
-			if (!existingDocuments.length) return tag.replace(regx, 1);
+	static _batches = new WeakMap();
 
-			const numbers = existingDocuments.map(existingDocument => {
-				return Number(Tagger.getTags(existingDocument).find(tag => {
-					return tag.match(findTag);
-				}).match(findTag)[1]);
-			})
+	/**
+	 * Gets the batch for a database operation, so that every document created in the same operation shares it
+	 *
+	 * @param operation
+	 * @returns {{id: String, state: Object}}
+	 */
+	static _getBatch(operation) {
+		const batch = { id: foundry.utils.randomID(), state: {} };
+		if (!operation || typeof operation !== "object") return batch;
+		if (!this._batches.has(operation)) this._batches.set(operation, batch);
+		return this._batches.get(operation);
+	}
 
-			const length = Math.max(...numbers) + 1;
-			for (let i = 1; i <= length; i++) {
-				if (!numbers.includes(i)) {
-					return tag.replace(regx, i)
-				}
-			}
-		},
-
-		/**
-		 *  Replaces the section of the tag with a random ID
-		 *  @private
-		 */
-		"{id}": (tag, regx, index) => {
-			let id = temporaryIds?.[tag]?.[index];
-			if (!id) {
-				if (!temporaryIds?.[tag]) {
-					temporaryIds[tag] = []
-				}
-				id = randomID();
-				temporaryIds[tag].push(id);
-			}
-			return tag.replace(regx, id);
+	static registerRule(inToken, inHandler, { label = null, description = "" } = {}) {
+		if (!(typeof inToken === "string" || inToken instanceof RegExp) || !String(inToken).trim()) throw new Error(`Tagger | registerRule | inToken must be of type string or regexp`);
+		if (typeof inHandler !== "function") throw new Error(`Tagger | registerRule | inHandler must be of type function`);
+		if (typeof description !== "string") throw new Error(`Tagger | registerRule | options.description must be of type string`);
+		const token = label ?? (inToken instanceof RegExp ? inToken.source : inToken);
+		const regex = inToken instanceof RegExp ? inToken : new RegExp(inToken.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+		this.rules.set(token, { token, regex, handler: inHandler, description });
+	}
+
+	static unregisterRule(inToken) {
+		return this.rules.delete(inToken instanceof RegExp ? inToken.source : inToken);
+	}
+
+	/**
+	 * Replaces the matched part of the tag with the lowest number that isn't used by other objects with the same tag,
+	 * including the objects that are processed in the same batch. Which objects are looked at depends on the numbering
+	 * scope setting.
+	 *
+	 * @param tag
+	 * @param regx
+	 * @param context
+	 * @param pattern     A regular expression pattern that captures the number in existing tags
+	 * @param parse       Converts the captured text into a number
+	 * @param format      Converts a number into the text that replaces the matched part of the tag
+	 * @returns {String}
+	 */
+	static _replaceWithNextFree(tag, regx, context, { pattern, parse, format }) {
+		const findTag = numberedTagToRegex(tag, regx, pattern);
+		const scope = game.settings.get(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.NUMBERING_SCOPE);
+		const isWorldDocument = worldDocumentTypes.includes(context.documentName);
+
+		let scopeKey;
+		let existingDocuments;
+		if (scope === "prefab" && context.prefab) {
+			scopeKey = `prefab.${context.prefab.id}`;
+			existingDocuments = [];
+		} else if (isWorldDocument) {
+			scopeKey = TagIndex.WORLD_KEY;
+			existingDocuments = Tagger.getByTag(findTag, { documentTypes: worldDocumentTypes });
+		} else if (scope === "world") {
+			scopeKey = "scenes";
+			existingDocuments = Object.values(Tagger.getByTag(findTag, { allScenes: true })).flat();
+		} else {
+			const sceneId = context.scene?.id ?? game.canvas.id;
+			scopeKey = `scene.${sceneId}`;
+			existingDocuments = sceneId ? Tagger.getByTag(findTag, { sceneId }) : [];
 		}
+
+		context.batch.state.reservedTags ??= {};
+		const reservedTags = context.batch.state.reservedTags[scopeKey] ??= [];
+
+		const numbers = existingDocuments.flatMap(existingDocument => Tagger.getTags(existingDocument))
+			.concat(reservedTags)
+			.map(existingTag => existingTag.match(findTag))
+			.filter(Boolean)
+			.map(match => parse(match.groups.number));
+
+		let number = 1;
+		while (numbers.includes(number)) number++;
+		const newTag = tag.replace(regx, (...match) => format(number, match));
+		reservedTags.push(newTag);
+		return newTag;
 	}
+
+	static rules = new Map();
+
+	static references = new Map();
 }
 
+TaggerHandler.registerRule("{id}", (tag, regx, index) => {
+	let id = temporaryIds?.[tag]?.[index];
+	if (!id) {
+		if (!temporaryIds?.[tag]) {
+			temporaryIds[tag] = []
+		}
+		id = randomID();
+		temporaryIds[tag].push(id);
+	}
+	return tag.replace(regx, id);
+}, {
+	description: "Replaced with a unique ID"
+});
+
+TaggerHandler.registerRule("{scene}", (tag, regx, index, context) => {
+	return tag.replace(regx, context.scene?.name ?? "");
+}, {
+	description: "Replaced with the name of the scene the object is in"
+});
+
+TaggerHandler.registerRule("{name}", (tag, regx, index, context) => {
+	return tag.replace(regx, context.documentData?.name ?? context.document?.name ?? "");
+}, {
+	description: "Replaced with the name of the object, such as the token's name"
+});
+
+TaggerHandler.registerRule("{actor}", (tag, regx, index, context) => {
+	const actor = context.documentName === "Actor"
+		? context.document
+		: context.document?.actor ?? game.actors.get(context.documentData?.actorId);
+	return tag.replace(regx, actor?.name ?? "");
+}, {
+	description: "Replaced with the name of the token's actor"
+});
+
+TaggerHandler.registerRule(/{#(?::(\d+))?}/, (tag, regx, index, context) => {
+	return TaggerHandler._replaceWithNextFree(tag, regx, context, {
+		pattern: ([, width]) => width ? "([0-9]+)" : "([1-9]+[0-9]*)",
+		parse: (number) => Number(number),
+		format: (number, [, width]) => String(number).padStart(Number(width ?? 0), "0")
+	});
+}, {
+	label: "{#}",
+	description: "Replaced with a unique number, based on how many other objects in the scene have the same tag. Use {#:3} to pad the number with zeroes to three digits"
+});
+
+TaggerHandler.registerRule("{A}", (tag, regx, index, context) => {
+	return TaggerHandler._replaceWithNextFree(tag, regx, context, {
+		pattern: () => "([A-Z]+)",
+		parse: (letters) => Array.from(letters).reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0),
+		format: (number) => {
+			let letters = "";
+			for (; number > 0; number = Math.floor((number - 1) / 26)) {
+				letters = String.fromCharCode(65 + ((number - 1) % 26)) + letters;
+			}
+			return letters;
+		}
+	});
+}, {
+	description: "Replaced with a unique letter, based on how many other objects in the scene have the same tag (A, B, ..., Z, AA, AB, ...)"
+});
+
+TaggerHandler.registerReferences("token-attacher", {
+	children: (documentData) => Object.values(foundry.utils.getProperty(documentData, "flags.token-attacher.prototypeAttached") ?? {}).flat(),
+	createsChildren: true
+});
+
+TaggerHandler.registerReferences("monks-active-tiles", {
+	references: [
+		{ path: "flags.monks-active-tiles.actions.*.data.location.name", prefix: "[Tagger] " },
+		{ path: "flags.monks-active-tiles.actions.*.data.entity.name", prefix: "[Tagger] " },
+		{ path: "flags.monks-active-tiles.actions.*.data.location.id", prefix: "tagger:" },
+		{ path: "flags.monks-active-tiles.actions.*.data.entity.id", prefix: "tagger:" },
+		{ path: "flags.monks-active-tiles.entity.id", prefix: "tagger:" }
+	]
+});
+
+const placeableDocumentTypes = ["Token", "Tile", "Drawing", "Wall", "AmbientLight", "AmbientSound", "MeasuredTemplate", "Note", "Region"];
+const worldDocumentTypes = ["Scene", "Actor", "Item", "JournalEntry", "JournalEntryPage", "Macro", "RollTable", "Playlist", "Cards"];
+const sceneCollections = ["tokens", "lights", "sounds", "templates", "tiles", "walls", "drawings", "notes", "regions"];
+const exportColumns = ["uuid", "type", "name", "scene", "x", "y", "tags"];
+
 const configHandlers = {
 	"TokenConfig": "_handleTokenConfig",
 	"TileConfig": "_handleTileConfig",
@@ -826,6 +4078,116 @@ for (const [configName, configHandler] of Object.entries(configHandlers)) {
 	});
 }
 
+Hooks.on("getHeaderControlsDocumentSheetV2", (app, controls) => TaggerConfig._addHeaderControl(app, controls));
+Hooks.on("getDocumentSheetHeaderButtons", (app, buttons) => TaggerConfig._addHeaderButton(app, buttons));
+
+for (const obj of [...placeableDocumentTypes, ...worldDocumentTypes]) {
+	Hooks.on(`create${obj}`, (document, options, userId) => {
+		const documents = [document, ...Tagger._getEmbeddedDocuments(document)];
+		TagIndex.indexDocument(document, { embedded: true });
+		TagWatcher.testDocuments(documents);
+		TagBrowser.refresh();
+		if (document.parent === canvas?.scene) TagOverlay.refresh();
+		documents.forEach(createdDocument => TaggerHandler.callTagsChanged(createdDocument, [], options, userId, { operation: "create" }));
+		GMTagStore.claimCreated(documents, userId);
+	});
+	Hooks.on(`update${obj}`, (document, changes, options, userId) => {
+		if (document.parent === canvas?.scene) TagOverlay.refresh();
+		if (GMTagStore.isStore(document) || !foundry.utils.hasProperty(changes, CONSTANTS.BASE_PROPERTY)) return;
+		const previousTags = options.tagger?.previousTags?.[document.uuid] ?? TagIndex.getIndexedTags(document);
+		TagIndex.indexDocument(document);
+		TagBrowser.refresh();
+		TagWatcher.testDocuments([document]);
+		TaggerHandler.callTagsChanged(document, previousTags, options, userId);
+	});
+	Hooks.on(`delete${obj}`, (document, options, userId) => {
+		const documents = [document, ...Tagger._getEmbeddedDocuments(document)];
+		TagIndex.removeDocument(document, { embedded: true });
+		TagWatcher.testDocuments(documents, { deleted: true });
+		TagBrowser.refresh();
+		if (document.parent === canvas?.scene) TagOverlay.refresh();
+		documents.forEach(deletedDocument => {
+			TaggerHandler.callTagsChanged(deletedDocument, Tagger.getTags(deletedDocument), options, userId, { tags: [], operation: "delete" });
+		});
+		GMTagStore.removeDocuments(documents);
+	});
+}
+
+for (const obj of placeableDocumentTypes) {
+	Hooks.on(`paste${obj}`, (copied, toCreate) => GMTagStore.copyTags(copied, toCreate));
+}
+
+Hooks.on("updateJournalEntry", (...args) => GMTagStore.onUpdateStore(...args));
+
+Hooks.on("canvasReady", () => {
+	TagBrowser.refresh();
+	TagOverlay.draw();
+});
+
+Hooks.on("canvasTearDown", () => TagOverlay.clear());
+
+Hooks.on("getSceneContextOptions", (application, menuItems) => {
+	menuItems.push({
+		name: "Tagger: Export Tags",
+		icon: `<i class="fas fa-file-export"></i>`,
+		condition: () => game.user.isGM,
+		callback: async (li) => {
+			const scene = game.scenes.get(li.dataset.entryId);
+			const format = await foundry.applications.api.DialogV2.wait({
+				window: { title: `Tagger: Export Tags from ${scene.name}` },
+				content: `<p>Which format should the tags be exported as?</p>`,
+				buttons: [
+					{ action: "json", label: "JSON", icon: "fas fa-file-code", default: true },
+					{ action: "csv", label: "CSV", icon: "fas fa-file-csv" }
+				]
+			});
+			if (format) Tagger.exportTags(scene, { format, download: true });
+		}
+	}, {
+		name: "Tagger: Import Tags",
+		icon: `<i class="fas fa-file-import"></i>`,
+		condition: () => game.user.isGM,
+		callback: () => TagImportDialog.open()
+	});
+});
+
+for (const hook of ["createSetting", "updateSetting"]) {
+	Hooks.on(hook, (setting) => {
+		if (setting.key !== `${CONSTANTS.MODULE_NAME}.${CONSTANTS.SETTINGS.TAG_DEFINITIONS}`) return;
+		Object.values(tagManagers).filter(manager => manager.app.rendered).forEach(manager => manager.populateTags());
+		TagBrowser.refresh();
+		TagOverlay.refresh();
+	});
+}
+
+Hooks.on("getSceneControlButtons", (controls) => {
+	if (!game.user.isGM) return;
+	controls.tokens.tools.taggerBrowser = {
+		name: "taggerBrowser",
+		title: "Tagger: Tag Browser",
+		icon: "fas fa-tags",
+		order: Object.keys(controls.tokens.tools).length,
+		button: true,
+		onChange: () => TagBrowser.open()
+	};
+	controls.tokens.tools.taggerOverlay = {
+		name: "taggerOverlay",
+		title: "Tagger: Tag Overlay",
+		icon: "fas fa-tag",
+		order: Object.keys(controls.tokens.tools).length,
+		toggle: true,
+		active: TagOverlay.active,
+		onChange: (event, active) => TagOverlay.toggle(active)
+	};
+});
+
+for (const obj of ["Scene", "Item", "JournalEntry", "JournalEntryPage", "Macro", "RollTable", "Playlist", "Cards"]) {
+	Hooks.on(`preUpdate${obj}`, (...args) => TaggerHandler.applyUpdateTags(...args));
+	Hooks.on(`preCreate${obj}`, (...args) => TaggerHandler.preCreateTakeGMTags(...args));
+}
+
+Hooks.on("preCreateScene", (...args) => TaggerHandler.preCreateSceneApplyTags(...args));
+
 for (const obj of ["Actor", "Token", "Tile", "Drawing", "Wall", "AmbientLight", "AmbientSound", "MeasuredTemplate", "Note", "Region"]) {
 	Hooks.on(`preUpdate${obj}`, (...args) => TaggerHandler.applyUpdateTags(...args));
 	Hooks.on(`preCreate${obj}`, (...args) => TaggerHandler.preCreateApplyTags(...args));
@@ -833,10 +4195,15 @@ for (const obj of ["Actor", "Token", "Tile", "Drawing", "Wall", "AmbientLight",
 
 Hooks.once('init', async function () {
 	registerHotkeysPre();
+	registerSettings();
+	registerRegionBehavior();
 	TaggerConfig.IS_V13 = foundry.utils.isNewerVersion(game.version, "13");
 })
 
 Hooks.once('ready', async function () {
-	registerHotkeysPost();
+	TaggerHandler.wrapCreationSources();
+	TagRelay.initialize();
+	TagIndex.build();
+	GMTagStore.initialize();
 	window.Tagger = Tagger;
 });
@@ -0,0 +1,60 @@
+import CONSTANTS from "./constants.js";
+
+/**
+ * The ways objects can be created, and whether tag rules are applied to them unless the rule policy says otherwise
+ */
+export const ruleSources = {
+	create: { label: "Created by macros and other modules", default: true },
+	drop: { label: "Dropped onto the canvas from the sidebar", default: true },
+	paste: { label: "Pasted onto the canvas", default: true },
+	duplicate: { label: "Objects in duplicated scenes", default: false },
+	prefab: { label: "Token Attacher prefabs and their attached objects", default: true },
+	compendium: { label: "Imported from a compendium", default: true }
+};
+
+/**
+ * Gets whether tag rules are applied to objects from each creation source
+ *
+ * @returns {Object<String, Boolean>}
+ */
+export function getRulePolicy() {
+	const policy = game.settings.get(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RULE_POLICY) ?? {};
+	return Object.fromEntries(Object.entries(ruleSources).map(([source, { default: applies }]) => [source, policy[source] ?? applies]));
+}
+
+export class TagRulePolicyConfig extends foundry.applications.api.ApplicationV2 {
+
+	static DEFAULT_OPTIONS = {
+		id: "tagger-rule-policy",
+		tag: "form",
+		classes: ["tagger-rule-policy"],
+		window: { title: "Tagger: Tag Rule Policy", icon: "fas fa-gavel" },
+		position: { width: 480 },
+		form: { handler: TagRulePolicyConfig._onSubmit, closeOnSubmit: true }
+	};
+
+	async _renderHTML(context, options) {
+		const policy = getRulePolicy();
+		const rows = Object.entries(ruleSources).map(([source, { label }]) => `
+			<div class="form-group">
+				<label for="tagger-rule-policy-${source}">${label}</label>
+				<input type="checkbox" id="tagger-rule-policy-${source}" name="${source}" ${policy[source] ? "checked" : ""}>
+			</div>`).join("");
+		return `
+			<p class="hint">Choose which new objects have tag rules such as {#} and {id} applied to their tags. Holding the "Don't apply tag rules on drop" key skips the rules regardless, and macros can force or skip them with the tagger.applyRules creation option.</p>
+			${rows}
+			<footer class="form-footer">
+				<button type="submit"><i class="fas fa-save"></i> Save</button>
+			</footer>`;
+	}
+
+	_replaceHTML(result, content, options) {
+		content.innerHTML = result;
+	}
+
+	static async _onSubmit(event, form, formData) {
+		const policy = Object.fromEntries(Object.keys(ruleSources).map(source => [source, !!formData.object[source]]));
+		await game.settings.set(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RULE_POLICY, policy);
+	}
+
+}
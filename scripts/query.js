@@ -0,0 +1,163 @@
+import { splitTags } from "./glob.js";
+
+const KEYWORD_REGEX = /(?<=^|[\s()])(AND|OR|NOT)(?=$|[\s()])/;
+const TOKEN_REGEX = /(?<=^|[\s()])(AND|OR|NOT)(?=$|[\s()])|(\()|(\))/g;
+
+/**
+ * Whether the given tags should be treated as a query expression rather than a list of tags
+ *
+ * @param inTags
+ * @returns {Boolean}
+ */
+export function isTagQuery(inTags) {
+	if (typeof inTags === "string") return KEYWORD_REGEX.test(inTags);
+	return typeof inTags === "object"
+		&& inTags !== null
+		&& !Array.isArray(inTags)
+		&& !(inTags instanceof RegExp);
+}
+
+/**
+ * Parses a query string such as "door AND (locked OR trapped) AND NOT secret", or a structured query object such as
+ * { and: ["door", { or: ["locked", "trapped"] }, { not: "secret" }] }, into a query tree
+ *
+ * @param inQuery
+ * @param inFunctionName
+ * @returns {Object}
+ */
+export function parseTagQuery(inQuery, inFunctionName) {
+	if (typeof inQuery === "string") {
+		return new QueryStringParser(inQuery, inFunctionName).parse();
+	}
+	return parseQueryObject(inQuery, inFunctionName);
+}
+
+function parseQueryObject(inQuery, inFunctionName) {
+
+	if (typeof inQuery === "string") {
+		const tag = inQuery.trim();
+		if (!tag) throw new Error(`Tagger | ${inFunctionName} | query contains an empty tag`);
+		return { type: "tag", tag };
+	}
+
+	if (inQuery instanceof RegExp) {
+		return { type: "tag", tag: inQuery };
+	}
+
+	if (Array.isArray(inQuery)) {
+		return parseQueryObject({ and: inQuery }, inFunctionName);
+	}
+
+	if (typeof inQuery !== "object" || inQuery === null) {
+		throw new Error(`Tagger | ${inFunctionName} | query terms must be of type string, regexp, array or object`);
+	}
+
+	const keys = Object.keys(inQuery);
+	if (keys.length !== 1 || !["and", "or", "not"].includes(keys[0])) {
+		throw new Error(`Tagger | ${inFunctionName} | query objects must have exactly one of the keys "and", "or" or "not"`);
+	}
+
+	const [type] = keys;
+	if (type === "not") {
+		return { type, child: parseQueryObject(inQuery.not, inFunctionName) };
+	}
+
+	if (!Array.isArray(inQuery[type]) || !inQuery[type].length) {
+		throw new Error(`Tagger | ${inFunctionName} | query.${type} must be a non-empty array`);
+	}
+
+	return { type, children: inQuery[type].map(child => parseQueryObject(child, inFunctionName)) };
+
+}
+
+class QueryStringParser {
+
+	constructor(query, functionName) {
+		this.query = query;
+		this.functionName = functionName;
+		this.tokens = this.tokenize();
+		this.position = 0;
+	}
+
+	tokenize() {
+		const tokens = [];
+		let lastIndex = 0;
+		for (const match of this.query.matchAll(TOKEN_REGEX)) {
+			this.pushTag(tokens, lastIndex, match.index);
+			tokens.push({ value: match[0], index: match.index });
+			lastIndex = match.index + match[0].length;
+		}
+		this.pushTag(tokens, lastIndex, this.query.length);
+		return tokens;
+	}
+
+	pushTag(tokens, start, end) {
+		const text = this.query.slice(start, end);
+		const tag = text.trim();
+		if (!tag) return;
+		if (splitTags(tag).length > 1) {
+			this.error(`commas cannot be used in query expressions, use AND or OR instead`, start);
+		}
+		tokens.push({ tag, index: start + text.indexOf(tag) });
+	}
+
+	error(message, index = this.query.length) {
+		throw new Error(`Tagger | ${this.functionName} | invalid query "${this.query}" at position ${index}: ${message}`);
+	}
+
+	peek() {
+		return this.tokens[this.position];
+	}
+
+	next() {
+		return this.tokens[this.position++];
+	}
+
+	parse() {
+		if (!this.tokens.length) this.error("query is empty");
+		const node = this.parseOr();
+		const token = this.peek();
+		if (token) this.error(`unexpected "${token.value ?? token.tag}"`, token.index);
+		return node;
+	}
+
+	parseOr() {
+		const children = [this.parseAnd()];
+		while (this.peek()?.value === "OR") {
+			this.next();
+			children.push(this.parseAnd());
+		}
+		return children.length > 1 ? { type: "or", children } : children[0];
+	}
+
+	parseAnd() {
+		const children = [this.parseNot()];
+		while (this.peek()?.value === "AND") {
+			this.next();
+			children.push(this.parseNot());
+		}
+		return children.length > 1 ? { type: "and", children } : children[0];
+	}
+
+	parseNot() {
+		if (this.peek()?.value === "NOT") {
+			this.next();
+			return { type: "not", child: this.parseNot() };
+		}
+		return this.parsePrimary();
+	}
+
+	parsePrimary() {
+		const token = this.next();
+		if (!token) this.error("expected a tag or \"(\"");
+		if (token.tag) return { type: "tag", tag: token.tag };
+		if (token.value === "(") {
+			const node = this.parseOr();
+			const closing = this.next();
+			if (closing?.value !== ")") this.error("missing closing \")\"", closing?.index);
+			return node;
+		}
+		this.error(`expected a tag but found "${token.value}"`, token.index);
+	}
+
+}
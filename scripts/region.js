@@ -0,0 +1,98 @@
+import CONSTANTS from "./constants.js";
+import Tagger from "./module.js";
+
+const BEHAVIOR_TYPE = `${CONSTANTS.MODULE_NAME}.tagFilter`;
+
+/**
+ * Registers the Tag Filter region behavior, which also has to be declared in the documentTypes of module.json
+ */
+export function registerRegionBehavior() {
+	CONFIG.RegionBehavior.dataModels[BEHAVIOR_TYPE] = TagFilterRegionBehaviorType;
+	CONFIG.RegionBehavior.typeIcons[BEHAVIOR_TYPE] = "fas fa-tags";
+	CONFIG.RegionBehavior.typeLabels[BEHAVIOR_TYPE] = "Tagger: Tag Filter";
+}
+
+/**
+ * A region behavior that only reacts to tokens that match a set of tags or a query expression, and can change the tags
+ * of the token or run a macro when it does
+ */
+export class TagFilterRegionBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+
+	static defineSchema() {
+		const fields = foundry.data.fields;
+		const events = CONST.REGION_EVENTS;
+		return {
+			events: this._createEventsField({
+				events: [
+					events.TOKEN_ENTER,
+					events.TOKEN_EXIT,
+					events.TOKEN_MOVE_IN,
+					events.TOKEN_MOVE_OUT,
+					events.TOKEN_TURN_START,
+					events.TOKEN_TURN_END,
+					events.TOKEN_ROUND_START,
+					events.TOKEN_ROUND_END
+				]
+			}),
+			query: new fields.StringField({
+				label: "Tags",
+				hint: "The tags (separated by commas) or query expression a token must match, such as \"party\" or \"NOT flying\". Every token matches when this is empty."
+			}),
+			caseInsensitive: new fields.BooleanField({
+				label: "Case Insensitive",
+				hint: "Whether capitals and lowercase are considered the same when matching tags."
+			}),
+			action: new fields.StringField({
+				required: true,
+				blank: false,
+				initial: "none",
+				choices: {
+					none: "Don't change tags",
+					add: "Add tags to the token",
+					remove: "Remove tags from the token",
+					toggle: "Toggle tags on the token"
+				},
+				label: "Tag Action"
+			}),
+			tags: new fields.StringField({
+				label: "Tags to Change",
+				hint: "The tags (separated by commas) that are added, removed or toggled on a matching token."
+			}),
+			macro: new fields.DocumentUUIDField({
+				type: "Macro",
+				label: "Macro",
+				hint: "A macro that is run for a matching token. It is given the region, behavior, event, scene and token, along with the token's tags that matched (tags)."
+			})
+		};
+	}
+
+	/**
+	 * Handles the events of tokens that match the tags, on the client of the user that caused the event
+	 *
+	 * @param event
+	 */
+	async _handleRegionEvent(event) {
+		if (!event.user.isSelf) return;
+		const token = event.data.token;
+		if (!token) return;
+		const query = this.query?.trim();
+		const options = { caseInsensitive: this.caseInsensitive };
+		if (query && !Tagger.hasTags(token, query, { ...options })) return;
+		const tags = query ? Tagger._getMatchedTags(token, query, options, "TagFilterRegionBehavior") : [];
+		if (this.action !== "none" && this.tags?.trim()) {
+			await Tagger[`${this.action}Tags`](token, this.tags);
+		}
+		if (!this.macro) return;
+		const macro = await fromUuid(this.macro);
+		if (!macro) throw new Error(`Tagger | TagFilterRegionBehavior | could not find macro with uuid ${this.macro}`);
+		await macro.execute({
+			region: this.region,
+			behavior: this.behavior,
+			event,
+			scene: this.scene,
+			token,
+			tags
+		});
+	}
+
+}
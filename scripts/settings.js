@@ -0,0 +1,99 @@
+import CONSTANTS from "./constants.js";
+import { TagDefinitionsConfig } from "./definitions.js";
+import { TagRulePolicyConfig } from "./policy.js";
+
+export function registerSettings() {
+
+	game.settings.register(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.NUMBERING_SCOPE, {
+		name: "Tag rule numbering scope",
+		hint: "Which objects the {#} and {A} tag rules look at to find the next free number or letter. Objects created together, such as when pasting, never get the same number.",
+		scope: "world",
+		config: true,
+		type: String,
+		choices: {
+			scene: "Objects in the same scene",
+			world: "Objects in all scenes",
+			prefab: "Objects in the same Token Attacher prefab (other objects use the scene)"
+		},
+		default: "scene"
+	});
+
+	game.settings.register(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RULE_POLICY, {
+		scope: "world",
+		config: false,
+		type: Object,
+		default: {}
+	});
+
+	game.settings.registerMenu(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RULE_POLICY, {
+		name: "Tag rule policy",
+		label: "Edit Tag Rule Policy",
+		hint: "Choose when tag rules are applied to new objects, such as when they are pasted, dropped from the sidebar or imported from a compendium.",
+		icon: "fas fa-gavel",
+		type: TagRulePolicyConfig,
+		restricted: true
+	});
+
+	game.settings.register(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.WARN_NEW_TAGS, {
+		name: "Warn before adding new tags",
+		hint: "Asks for confirmation before adding a tag in the tag field that no other document has, to catch typos.",
+		scope: "client",
+		config: true,
+		type: Boolean,
+		default: false
+	});
+
+	game.settings.register(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.HISTORY_SIZE, {
+		name: "Undo history size",
+		hint: "How many changes to tags made through Tagger can be undone with the undo keybinding or Tagger.undo(). Set to 0 to disable the history.",
+		scope: "client",
+		config: true,
+		type: Number,
+		range: { min: 0, max: 100, step: 1 },
+		default: 20
+	});
+
+	game.settings.register(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RELAY_ENABLED, {
+		name: "Let players change tags through a GM",
+		hint: "Players can normally only change the tags of documents they own. With this enabled, changes they are not allowed to make themselves, such as from a macro, are sent to a connected GM who makes them on their behalf.",
+		scope: "world",
+		config: true,
+		type: Boolean,
+		default: false
+	});
+
+	game.settings.register(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RELAY_OPERATIONS, {
+		name: "Operations players can use through a GM",
+		hint: "A comma separated list of the operations that players can have a GM make: add, remove, toggle, set, value, clear and rule.",
+		scope: "world",
+		config: true,
+		type: String,
+		default: "add, remove, toggle, value"
+	});
+
+	game.settings.register(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.RELAY_TAG_PATTERNS, {
+		name: "Tags players can change through a GM",
+		hint: "A comma separated list of the tags that players can have a GM add or remove, where * is a wildcard, such as \"inspected, visited-*\". Use * to allow any tag.",
+		scope: "world",
+		config: true,
+		type: String,
+		default: "*"
+	});
+
+	game.settings.register(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.TAG_DEFINITIONS, {
+		scope: "world",
+		config: false,
+		type: Array,
+		default: []
+	});
+
+	game.settings.registerMenu(CONSTANTS.MODULE_NAME, CONSTANTS.SETTINGS.TAG_DEFINITIONS, {
+		name: "Tag definitions",
+		label: "Edit Tag Definitions",
+		hint: "Give tags, or patterns such as \"trap-*\", a color, an icon and a description that are shown wherever tags are listed.",
+		icon: "fas fa-palette",
+		type: TagDefinitionsConfig,
+		restricted: true
+	});
+
+}
@@ -0,0 +1,109 @@
+/**
+ * Gets the position of a PlaceableObject or Document on its scene, or the point itself if given a plain {x, y} object
+ *
+ * @param inObject
+ * @returns {{x: Number, y: Number}|null}
+ */
+export function getObjectPosition(inObject) {
+	const document = inObject?.document ?? inObject;
+
+	if (!document?.documentName) {
+		if (Number.isFinite(inObject?.x) && Number.isFinite(inObject?.y)) return { x: inObject.x, y: inObject.y };
+		return null;
+	}
+
+	switch (document.documentName) {
+		case "Token": {
+			if (document.object) return document.object.center;
+			const gridSize = document.parent.grid.size;
+			return {
+				x: document.x + (document.width * gridSize) / 2,
+				y: document.y + (document.height * gridSize) / 2
+			};
+		}
+		case "Tile":
+			return { x: document.x + document.width / 2, y: document.y + document.height / 2 };
+		case "Drawing":
+			return { x: document.x + document.shape.width / 2, y: document.y + document.shape.height / 2 };
+		case "Wall": {
+			const [x0, y0, x1, y1] = document.c;
+			return { x: (x0 + x1) / 2, y: (y0 + y1) / 2 };
+		}
+		case "AmbientLight":
+		case "AmbientSound":
+		case "MeasuredTemplate":
+		case "Note":
+			return { x: document.x, y: document.y };
+		case "Region":
+			return document.object?.center ?? null;
+		default:
+			return null;
+	}
+}
+
+/**
+ * Whether any of the spatial options are in use
+ *
+ * @param options
+ * @returns {Boolean}
+ */
+export function hasSpatialFilter(options) {
+	return !!(options.region || options.shape || options.rectangle || options.distance !== false || options.lineOfSight || options.sortByDistance);
+}
+
+/**
+ * Filters objects by their position on the canvas, and sorts them by distance from the origin if requested. Objects
+ * without a position, such as world level documents, are always filtered out.
+ *
+ * @param inObjects
+ * @param options
+ * @returns {Array}
+ */
+export function filterSpatially(inObjects, options) {
+
+	const origin = options.origin ? getObjectPosition(options.origin) : null;
+
+	let entries = inObjects
+		.map(object => ({ object, document: object?.document ?? object, point: getObjectPosition(object) }))
+		.filter(entry => entry.point);
+
+	if (options.region) {
+		const region = options.region.document ?? options.region;
+		entries = entries.filter(({ document, point }) => {
+			return document.parent === region.parent && region.testPoint({ ...point, elevation: document.elevation ?? 0 });
+		});
+	}
+
+	if (options.shape) {
+		entries = entries.filter(({ point }) => options.shape.contains(point.x, point.y));
+	}
+
+	if (options.rectangle) {
+		const { x, y, width, height } = options.rectangle;
+		entries = entries.filter(({ point }) => {
+			return point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + height;
+		});
+	}
+
+	if (options.distance !== false || options.sortByDistance) {
+		entries.forEach(entry => {
+			entry.distance = entry.document.parent.grid.measurePath([origin, entry.point]).distance;
+		});
+	}
+
+	if (options.distance !== false) {
+		entries = entries.filter(({ distance }) => distance <= options.distance);
+	}
+
+	if (options.lineOfSight) {
+		const sightBackend = CONFIG.Canvas.polygonBackends.sight;
+		entries = entries.filter(({ point }) => !sightBackend.testCollision(origin, point, { type: "sight", mode: "any" }));
+	}
+
+	if (options.sortByDistance) {
+		entries.sort((a, b) => a.distance - b.distance);
+	}
+
+	return entries.map(entry => entry.object);
+
+}
@@ -0,0 +1,159 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { globToRegex, isGlob, numberedTagToRegex, splitTags } from "../scripts/glob.js";
+
+function assertMatches(pattern, matches, nonMatches = []) {
+	const regex = globToRegex(pattern);
+	for (const tag of matches) assert.ok(regex.test(tag), `"${pattern}" should match "${tag}" (${regex})`);
+	for (const tag of nonMatches) assert.ok(!regex.test(tag), `"${pattern}" should not match "${tag}" (${regex})`);
+}
+
+function captures(pattern, tag) {
+	return globToRegex(pattern).exec(tag)?.slice(1) ?? null;
+}
+
+describe("globToRegex", () => {
+
+	it("matches plain tags exactly", () => {
+		assertMatches("door", ["door"], ["doors", "a-door", "Door", ""]);
+		assertMatches("a+b(c)^$|", ["a+b(c)^$|"], ["aab(c)"]);
+	});
+
+	it("matches any characters within one level with *", () => {
+		assertMatches("trap-*", ["trap-", "trap-fire", "trap-fire-2"], ["trap", "trap-a.b", "trap-a/b", "xtrap-a"]);
+		assertMatches("monster.*", ["monster.undead", "monster."], ["monster", "monster.undead.zombie"]);
+		assertMatches("*", ["", "door"], ["a.b", "a/b"]);
+		assert.deepEqual(captures("room-*-*", "room-1-north"), ["1", "north"]);
+	});
+
+	it("matches any number of levels with a trailing **", () => {
+		assertMatches("monster.**", ["monster", "monster.undead", "monster.undead.zombie"], ["monsters", "monsterx.a"]);
+		assertMatches("a/**", ["a", "a/b", "a/b/c"], ["a.b", "ab"]);
+		assert.deepEqual(captures("monster.**", "monster.undead.zombie"), ["undead.zombie"]);
+		assert.deepEqual(captures("monster.**", "monster"), [undefined]);
+	});
+
+	it("matches any number of levels with a leading **", () => {
+		assertMatches("**.zombie", ["zombie", "undead.zombie", "monster.undead.zombie"], ["xzombie", "zombie.x"]);
+		assert.deepEqual(captures("**.zombie", "monster.undead.zombie"), ["monster.undead"]);
+	});
+
+	it("matches any number of levels with a ** between separators", () => {
+		assertMatches("a.**.b", ["a.b", "a.x.b", "a.x.y.b"], ["ab", "a.xb", "a.b.c"]);
+	});
+
+	it("matches any characters across levels with a ** inside a level", () => {
+		assertMatches("a**b", ["ab", "axb", "a.x/y.b"], ["a.x.c"]);
+		assertMatches("**", ["", "a", "a.b/c"]);
+	});
+
+	it("matches a single character within one level with ?", () => {
+		assertMatches("gate-?", ["gate-A", "gate-1"], ["gate-", "gate-AB", "gate-."]);
+		assert.deepEqual(captures("?-?", "a-b"), ["a", "b"]);
+	});
+
+	it("matches one character from a set with [...]", () => {
+		assertMatches("gate-[ab]", ["gate-a", "gate-b"], ["gate-c", "gate-ab"]);
+		assertMatches("level-[1-3]", ["level-1", "level-3"], ["level-4", "level--"]);
+		assertMatches("x[-a]", ["x-", "xa"], ["xb"]);
+		assertMatches("x[]]", ["x]"], ["x["]);
+		assertMatches("x[\\]a]", ["x]", "xa"], ["xb"]);
+	});
+
+	it("matches one character not from a set with [!...] or [^...]", () => {
+		assertMatches("gate-[!ab]", ["gate-c", "gate-1"], ["gate-a", "gate-b", "gate-"]);
+		assertMatches("gate-[^ab]", ["gate-c"], ["gate-a"]);
+	});
+
+	it("matches a literal [ that is never closed", () => {
+		assertMatches("a[b", ["a[b"], ["ab"]);
+	});
+
+	it("matches any of the alternatives with {a,b}", () => {
+		assertMatches("{door,gate}", ["door", "gate"], ["doorgate", "{door,gate}", ""]);
+		assertMatches("{door,gate}-*", ["door-1", "gate-north"], ["wall-1"]);
+		assertMatches("x{,-*}", ["x", "x-", "x-1"], ["x1"]);
+		assertMatches("{a,{b,c}}", ["a", "b", "c"], ["{b,c}"]);
+		assert.deepEqual(captures("{a-*,b-?}", "b-x"), [undefined, "x"]);
+	});
+
+	it("matches braces without a comma literally", () => {
+		assertMatches("{#}", ["{#}"], ["#", ""]);
+		assertMatches("room-{#}", ["room-{#}"], ["room-1"]);
+		assertMatches("{id}-{x,y}", ["{id}-x", "{id}-y"], ["{id}-{x,y}"]);
+	});
+
+	it("matches braces that are never closed literally", () => {
+		assertMatches("{a,b", ["{a,b"], ["a", "b"]);
+		assertMatches("{a,{b,c}", ["{a,b", "{a,c"], ["a", "b"]);
+		assertMatches("}{a,b}", ["}a", "}b"]);
+	});
+
+	it("doesn't let the } of a literal brace group close the alternation around it", () => {
+		assertMatches("{a,{#}}", ["a", "{#}"], ["{#", "{#}}", "a}"]);
+		assertMatches("{{#},b}", ["{#}", "b"], ["{#}}"]);
+		assertMatches("{a,{x}-{y,z}}", ["a", "{x}-y", "{x}-z"]);
+		assertMatches("{a,{#}", ["{a,{#}"], ["a", "{#}"]);
+	});
+
+	it("matches the next character literally after a \\", () => {
+		assertMatches("a\\*", ["a*"], ["ab", "a"]);
+		assertMatches("\\{a,b\\}", ["{a,b}"], ["a", "b"]);
+		assertMatches("what\\?", ["what?"], ["whatx"]);
+		assertMatches("\\[x]", ["[x]"], ["x"]);
+		assertMatches("a\\\\b", ["a\\b"], ["ab"]);
+		assertMatches("a\\", ["a\\"], ["a"]);
+	});
+
+});
+
+describe("isGlob", () => {
+
+	it("detects glob syntax", () => {
+		for (const pattern of ["a*", "a?", "[ab]", "{a,b}", "{#}", "a\\b"]) assert.ok(isGlob(pattern), pattern);
+		for (const pattern of ["door", "monster.undead", "a/b", "level:3"]) assert.ok(!isGlob(pattern), pattern);
+	});
+
+});
+
+describe("splitTags", () => {
+
+	it("splits tags on commas outside of braces", () => {
+		assert.deepEqual(splitTags("a, b,c"), ["a", " b", "c"]);
+		assert.deepEqual(splitTags("{a,b}, c"), ["{a,b}", " c"]);
+		assert.deepEqual(splitTags("{a,{b,c}},d"), ["{a,{b,c}}", "d"]);
+		assert.deepEqual(splitTags("a\\,b,c"), ["a\\,b", "c"]);
+		assert.deepEqual(splitTags("a},b"), ["a}", "b"]);
+		assert.deepEqual(splitTags(""), [""]);
+	});
+
+});
+
+describe("numberedTagToRegex", () => {
+
+	const token = /{#(?::(\d+))?}/;
+	const pattern = ([, width]) => width ? "([0-9]+)" : "([1-9]+[0-9]*)";
+
+	it("matches the rest of the tag literally when it contains regular expression characters", () => {
+		const regex = numberedTagToRegex("Goblin (Elite)-{#}", token, pattern);
+		assert.equal(regex.exec("Goblin (Elite)-12")?.groups.number, "12");
+		for (const tag of ["Goblin Elite-1", "Goblin (Elite)-", "Goblin (Elite)-0"]) assert.ok(!regex.test(tag), tag);
+		for (const name of ["a.b", "c++", "[x", "what?", "$1 ^a|b", "a\\b", "{x}"]) {
+			const nameRegex = numberedTagToRegex(`${name}-{#}`, token, pattern);
+			assert.equal(nameRegex.exec(`${name}-3`)?.groups.number, "3", name);
+		}
+		assert.ok(!numberedTagToRegex("a.b-{#}", token, pattern).test("axb-3"));
+	});
+
+	it("passes each match of the token to the pattern", () => {
+		const regex = numberedTagToRegex("room-{#:3}", token, pattern);
+		assert.equal(regex.exec("room-007")?.groups.number, "007");
+	});
+
+	it("requires every occurrence of the token to have the same number", () => {
+		const regex = numberedTagToRegex("{#}-of-{#}", token, pattern);
+		assert.equal(regex.exec("2-of-2")?.groups.number, "2");
+		assert.ok(!regex.test("2-of-3"));
+	});
+
+});